@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Benchmark of urlFor against compiling the pattern on every call, as urlFor did before the patterns are precompiled
+ * Run with `npm run bench`. The timing depends on the machine, so it is not part of the test suite.
+ */
+
+var util = require('util');
+var pathToRegexp = require('path-to-regexp');
+
+var ITERATIONS = 20000;
+var RUNS = 5;
+
+/**
+ * Run the function ITERATIONS times, RUNS times, and return the fastest run in milliseconds
+ * Taking the fastest run leaves out the noise of garbage collection and other processes
+ */
+function measure(fn) {
+  var fastest = Infinity;
+  for (var run = 0; run < RUNS; run++) {
+    var start = process.hrtime();
+    for (var i = 0; i < ITERATIONS; i++) {
+      fn();
+    }
+    var elapsed = process.hrtime(start);
+    fastest = Math.min(fastest, elapsed[0] * 1e3 + elapsed[1] / 1e6);
+  }
+
+  return fastest;
+}
+
+var registry = require('../index').createRegistry();
+var router = registry({});
+router.addMapping('article.list', '/articles');
+router.addMapping('article.detail', '/articles/:category/:title');
+router.buildRouteTable();
+
+var patterns = registry.getRouteTable();
+var cases = [
+  {description: 'pattern with params', name: 'article.detail', params: {category: 'news', title: 'cool-guy'}},
+  {description: 'static pattern', name: 'article.list', params: {}}
+];
+
+cases.forEach(function (item) {
+  var uncached = measure(function () {
+    pathToRegexp.compile(patterns[item.name])(item.params);
+  });
+  var cached = measure(function () {
+    registry.urlFor(item.name, item.params);
+  });
+
+  console.log(util.format('%s: %s ms uncached, %s ms cached (%d calls, %sx faster)', item.description,
+    uncached.toFixed(1), cached.toFixed(1), ITERATIONS, (uncached / cached).toFixed(1)));
+});
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Command line tool of route-label
+ *
+ * Usage:
+ *   route-label routes <entry> [--name <prefix>] [--method <method>] [--pattern <substring>] [--format text|json|csv]
+ *   route-label types <entry> [--out <file>] [--module <name>|--no-module]
+ *   route-label openapi <entry> [--out <file>] [--format json|yaml] [--title <title>] [--version <version>]
+ *
+ * Where entry is the file setting up the routes, see loader.loadRegistry
+ */
+
+var fs = require('fs');
+
+var helper = require('../helper');
+var loader = require('../loader');
+
+var USAGE = [
+  'Usage:',
+  '  route-label routes <entry> [--name <prefix>] [--method <method>] [--pattern <substring>] [--format text|json|csv]',
+  '  route-label types <entry> [--out <file>] [--module <name>|--no-module]',
+  '  route-label openapi <entry> [--out <file>] [--format json|yaml] [--title <title>] [--version <version>]',
+  '',
+  'Commands:',
+  '  routes   List the route names, methods, and patterns',
+  '  types    Generate TypeScript declaration of route names and their params',
+  '  openapi  Generate OpenAPI 3 document of the routes',
+  '',
+  'Options:',
+  '  --out        Write to the file instead of stdout',
+  '  --name       Only list routes under the name prefix',
+  '  --method     Only list routes of the method',
+  '  --pattern    Only list routes whose pattern contains the substring',
+  '  --module     Name of the declared module, defaults to route-label',
+  '  --no-module  Declare the types at top level',
+  '  --format     Format of the route list, text (default), json, or csv',
+  '               Format of the OpenAPI document, json (default) or yaml',
+  '  --title      Title of the API in the OpenAPI document',
+  '  --version    Version of the API in the OpenAPI document'
+].join('\n');
+
+/**
+ * Parse command line arguments to command, positional arguments, and options
+ * @example
+ * parseArgs(['types', 'app.js', '--out', 'a.d.ts', '--no-module']) => {
+ *   command: 'types',
+ *   args: ['app.js'],
+ *   options: {out: 'a.d.ts', module: false}
+ * }
+ */
+function parseArgs(argv) {
+  var parsed = {
+    command: argv[0],
+    args: [],
+    options: {}
+  };
+
+  for (var i = 1; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg.indexOf('--no-') === 0) {
+      parsed.options[arg.substring(5)] = false;
+    } else if (arg.indexOf('--') === 0) {
+      parsed.options[arg.substring(2)] = argv[i + 1];
+      i++;
+    } else {
+      parsed.args.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+var ROUTE_COLUMNS = ['name', 'method', 'pattern', 'note'];
+
+/**
+ * List the routes as rows of name, method, pattern, and note, one row per method
+ * Aliases are listed with the methods of their route, legacy URLs with their own pattern
+ * @example
+ * listRoutes(registry, {method: 'get'}) => [
+ *   {name: 'article.list', method: 'GET', pattern: '/articles', note: ''},
+ *   {name: 'article.post', method: 'GET', pattern: '/articles/:title', note: 'alias of article.detail'},
+ *   {name: 'article.old', method: 'GET', pattern: '/posts/:title', note: 'redirects to article.detail'}
+ * ]
+ */
+function listRoutes(registry, filters) {
+  var routeTable = registry.getRouteTable({detailed: true});
+  var prefixes = [].concat(filters.name || []);
+  var method = filters.method && filters.method.toLowerCase();
+  var rows = [];
+
+  Object.keys(routeTable).forEach(function (name) {
+    var route = routeTable[name];
+    var pattern = route.legacyPattern || route.pattern;
+
+    if (!helper.hasNamePrefix(name, prefixes) || (filters.pattern && (pattern.indexOf(filters.pattern) === -1))) {
+      return;
+    }
+
+    var note = '';
+    if (route.legacyPattern) {
+      note = 'redirects to ' + route.aliasOf;
+    } else if (route.aliasOf) {
+      note = 'alias of ' + route.aliasOf;
+    } else if (route.deprecated) {
+      note = 'deprecated';
+    }
+
+    // Routes from addMapping have no method
+    var methods = (route.methods.length > 0) ? route.methods : [''];
+    methods.forEach(function (routeMethod) {
+      if (method && (routeMethod !== method)) {
+        return;
+      }
+
+      rows.push({
+        name: name,
+        method: routeMethod.toUpperCase(),
+        pattern: pattern,
+        note: note
+      });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Quote CSV field containing comma, quote, or newline
+ */
+function toCsvField(value) {
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+var routeFormats = {
+  text: function (rows) {
+    var widths = ROUTE_COLUMNS.map(function (column) {
+      return rows.reduce(function (width, row) {
+        return Math.max(width, row[column].length);
+      }, column.length);
+    });
+
+    var lines = [ROUTE_COLUMNS.map(function (column) {
+      return column.toUpperCase();
+    })].concat(rows.map(function (row) {
+      return ROUTE_COLUMNS.map(function (column) {
+        return row[column];
+      });
+    }));
+
+    return lines.map(function (fields) {
+      return fields.map(function (field, index) {
+        return field + new Array(widths[index] - field.length + 1).join(' ');
+      }).join('  ').replace(/\s+$/, '');
+    }).join('\n') + '\n';
+  },
+
+  json: function (rows) {
+    return JSON.stringify(rows, null, 2) + '\n';
+  },
+
+  csv: function (rows) {
+    return [ROUTE_COLUMNS].concat(rows.map(function (row) {
+      return ROUTE_COLUMNS.map(function (column) {
+        return toCsvField(row[column]);
+      });
+    })).map(function (fields) {
+      return fields.join(',');
+    }).join('\n') + '\n';
+  }
+};
+
+var commands = {
+  routes: function (registry, options) {
+    var format = options.format || 'text';
+    if (!routeFormats.hasOwnProperty(format)) {
+      throw new Error('Unknown route list format: ' + format);
+    }
+
+    return routeFormats[format](listRoutes(registry, options));
+  },
+
+  types: function (registry, options) {
+    var exportOptions = {};
+    if (options.module === false) {
+      exportOptions.moduleName = null;
+    } else if (options.module) {
+      exportOptions.moduleName = options.module;
+    }
+
+    return registry.exportTypes(exportOptions);
+  },
+
+  openapi: function (registry, options) {
+    return registry.exportOpenApi({
+      format: options.format,
+      info: {
+        title: options.title || 'API',
+        version: options.version || '1.0.0'
+      }
+    });
+  }
+};
+
+/**
+ * Write the output, then exit. Exiting is necessary since the entry file may start a server
+ */
+function finish(output, outFile) {
+  if (outFile) {
+    fs.writeFileSync(outFile, output);
+    return process.exit(0);
+  }
+
+  process.stdout.write(output, function () {
+    process.exit(0);
+  });
+}
+
+function main(argv) {
+  var parsed = parseArgs(argv);
+
+  if (!commands.hasOwnProperty(parsed.command) || (parsed.args.length !== 1)) {
+    console.error(USAGE);
+    return process.exit(1);
+  }
+
+  var registry = loader.loadRegistry(parsed.args[0]);
+  if (Object.keys(registry.getRouteTable()).length === 0) {
+    console.error('No named routes found in ' + parsed.args[0] +
+      ', please export the app, its router, or the registry from the entry file');
+    return process.exit(1);
+  }
+
+  var output;
+  try {
+    output = commands[parsed.command](registry, parsed.options);
+  } catch (err) {
+    console.error(err.message);
+    return process.exit(1);
+  }
+
+  finish(output, parsed.options.out);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Errors thrown by urlFor and verifySignedUrl, so the error tracker can group them by class and fields instead of message
+ *
+ * All of them are instances of UrlForError, which carries:
+ *   routeName - The route name given to urlFor or verifySignedUrl
+ *
+ * @example
+ *   try {
+ *     router.urlFor('article.detial', {title: 'cool-guy'});
+ *   } catch (err) {
+ *     err instanceof router.errors.UnknownRouteError => true
+ *     err.suggestions => ['article.detail']
+ *   }
+ */
+
+var util = require('util');
+
+/**
+ * Base class of the errors thrown by urlFor
+ * @param {string} message
+ * @param {string} routeName
+ */
+function UrlForError(message, routeName) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+  this.name = this.constructor.name;
+  this.message = message;
+  this.routeName = routeName;
+}
+util.inherits(UrlForError, Error);
+
+/**
+ * The route name is not in the route table
+ * @example
+ * new UnknownRouteError('article.detial', ['article.detail']).message =>
+ *   'Attempted to use undefined routeName: article.detial, did you mean article.detail?'
+ * @param {string} routeName
+ * @param {Array} [suggestions] - Existing names similar to the route name
+ */
+function UnknownRouteError(routeName, suggestions) {
+  suggestions = suggestions || [];
+
+  var message = 'Attempted to use undefined routeName: ' + routeName;
+  if (suggestions.length > 0) {
+    message += ', did you mean ' + suggestions.join(' or ') + '?';
+  }
+
+  UrlForError.call(this, message, routeName);
+  this.suggestions = suggestions;
+}
+util.inherits(UnknownRouteError, UrlForError);
+
+/**
+ * A required param of the pattern is not given
+ * @example
+ * new MissingParamError('article.detail', '/articles/:title', 'title', ['title'], ['slug']).message =>
+ *   'Missing param "title" of route article.detail (/articles/:title)'
+ * @param {string} routeName
+ * @param {string} pattern
+ * @param {string} paramName - The missing param
+ * @param {Array} expected - Names of the params of the pattern
+ * @param {Array} supplied - Names of the given params
+ */
+function MissingParamError(routeName, pattern, paramName, expected, supplied) {
+  UrlForError.call(this, util.format('Missing param "%s" of route %s (%s)', paramName, routeName, pattern), routeName);
+  this.pattern = pattern;
+  this.paramName = paramName;
+  this.expected = expected;
+  this.supplied = supplied;
+}
+util.inherits(MissingParamError, UrlForError);
+
+/**
+ * A param value does not fit the pattern
+ * @example
+ * new InvalidParamError('flight', '/flights/:number(\\d+)', 'number', ['number'], ['number'],
+ *   'test', 'expected to match "\\d+"').message =>
+ *   'Invalid param "number" of route flight (/flights/:number(\\d+)): expected to match "\\d+", but received "test"'
+ * @param {string} routeName
+ * @param {string} pattern
+ * @param {string} paramName - The invalid param
+ * @param {Array} expected - Names of the params of the pattern
+ * @param {Array} supplied - Names of the given params
+ * @param value - The given value of the param
+ * @param {string} reason - What the param should be
+ */
+function InvalidParamError(routeName, pattern, paramName, expected, supplied, value, reason) {
+  UrlForError.call(this, util.format('Invalid param "%s" of route %s (%s): %s, but received %s',
+    paramName, routeName, pattern, reason, JSON.stringify(value)), routeName);
+  this.pattern = pattern;
+  this.paramName = paramName;
+  this.expected = expected;
+  this.supplied = supplied;
+  this.value = value;
+  this.reason = reason;
+}
+util.inherits(InvalidParamError, UrlForError);
+
+/**
+ * The route has RegExp path, so its URL can not be generated
+ * @example
+ * new NonGeneratableRouteError('legacy.article', '/^\\/artikel-(\\d+)$/').message =>
+ *   'Route legacy.article has RegExp path /^\\/artikel-(\\d+)$/, its URL can not be generated'
+ * @param {string} routeName
+ * @param {string} pattern - The RegExp path, as string
+ */
+function NonGeneratableRouteError(routeName, pattern) {
+  UrlForError.call(this, util.format('Route %s has RegExp path %s, its URL can not be generated', routeName, pattern),
+    routeName);
+  this.pattern = pattern;
+}
+util.inherits(NonGeneratableRouteError, UrlForError);
+
+/**
+ * The signed URL is not valid for the route, see signedUrlFor
+ * It has `status` 403, so express responds with Forbidden when it is passed to `next`
+ * @example
+ * new InvalidSignatureError('statement.download', 'expired').message =>
+ *   'Invalid signed URL of route statement.download: expired'
+ * @param {string} routeName
+ * @param {string} reason - 'missing' (no signature), 'mismatch' (tampered or signed for other route), or 'expired'
+ */
+function InvalidSignatureError(routeName, reason) {
+  UrlForError.call(this, util.format('Invalid signed URL of route %s: %s', routeName, reason), routeName);
+  this.reason = reason;
+  this.status = 403;
+}
+util.inherits(InvalidSignatureError, UrlForError);
+
+exports.UrlForError = UrlForError;
+exports.UnknownRouteError = UnknownRouteError;
+exports.MissingParamError = MissingParamError;
+exports.InvalidParamError = InvalidParamError;
+exports.NonGeneratableRouteError = NonGeneratableRouteError;
+exports.InvalidSignatureError = InvalidSignatureError;
@@ -0,0 +1,423 @@
+'use strict';
+
+/**
+ * Runtime of the browser-side bundle generated by exporters/client.js
+ * `createClient` is serialized with Function.prototype.toString into the bundle, so it must be self-contained:
+ * no reference to anything outside of it, and written in ES5 to run in any browser.
+ *
+ * It mirrors urlFor and absoluteUrlFor of index.js, which uses path-to-regexp's compile,
+ * query.stringify, the errors of errors.js, helper.suggestNames, helper.toHash, and helper.joinUrl.
+ * The `object` option relies on the global URL class of the browser.
+ * Keep them in sync, tests/exporters/client.spec.js checks the parity.
+ */
+
+/**
+ * Create urlFor, absoluteUrlFor, setBaseUrl, setHosts, setQueryOptions, getRouteTable, and errors working on the given
+ * route table
+ * @param {Object} routeTable - Route name as keys, {pattern, tokens, [locales], [host]} as values, or
+ *    {pattern, generatable: false} for route having RegExp path. The tokens are parsed by
+ *    path-to-regexp's parse. Locales map the locale to its {pattern, tokens}
+ * @param {string} [baseUrl] - Base URL for absoluteUrlFor
+ * @param {Object} [queryOptions] - Query serialization options, see query.js
+ * @param {Object} [hosts] - Base URLs of named hosts for absoluteUrlFor
+ * @returns {Object}
+ */
+exports.createClient = function createClient(routeTable, baseUrl, queryOptions, hosts) {
+  var compiled = {};
+  queryOptions = queryOptions || {};
+  hosts = hosts || {};
+
+  // Same as errors.js
+  function inherits(ctor, superCtor) {
+    ctor.prototype = Object.create(superCtor.prototype, {
+      constructor: {value: ctor, writable: true, configurable: true}
+    });
+  }
+
+  function UrlForError(message, routeName) {
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+
+    this.name = this.constructor.name;
+    this.message = message;
+    this.routeName = routeName;
+  }
+  inherits(UrlForError, Error);
+
+  function UnknownRouteError(routeName, suggestions) {
+    var message = 'Attempted to use undefined routeName: ' + routeName;
+    if (suggestions.length > 0) {
+      message += ', did you mean ' + suggestions.join(' or ') + '?';
+    }
+
+    UrlForError.call(this, message, routeName);
+    this.suggestions = suggestions;
+  }
+  inherits(UnknownRouteError, UrlForError);
+
+  function MissingParamError(routeName, pattern, paramName, expected, supplied) {
+    UrlForError.call(this, 'Missing param "' + paramName + '" of route ' + routeName + ' (' + pattern + ')',
+      routeName);
+    this.pattern = pattern;
+    this.paramName = paramName;
+    this.expected = expected;
+    this.supplied = supplied;
+  }
+  inherits(MissingParamError, UrlForError);
+
+  function InvalidParamError(routeName, pattern, paramName, expected, supplied, value, reason) {
+    UrlForError.call(this, 'Invalid param "' + paramName + '" of route ' + routeName + ' (' + pattern + '): ' +
+      reason + ', but received ' + JSON.stringify(value), routeName);
+    this.pattern = pattern;
+    this.paramName = paramName;
+    this.expected = expected;
+    this.supplied = supplied;
+    this.value = value;
+    this.reason = reason;
+  }
+  inherits(InvalidParamError, UrlForError);
+
+  function NonGeneratableRouteError(routeName, pattern) {
+    UrlForError.call(this, 'Route ' + routeName + ' has RegExp path ' + pattern + ', its URL can not be generated',
+      routeName);
+    this.pattern = pattern;
+  }
+  inherits(NonGeneratableRouteError, UrlForError);
+
+  // Same as helper.editDistance
+  function editDistance(a, b) {
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) {
+      previous.push(j);
+    }
+
+    for (var i = 1; i <= a.length; i++) {
+      var current = [i];
+      for (j = 1; j <= b.length; j++) {
+        var cost = (a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1;
+        current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  // Same as helper.suggestNames
+  function suggestNames(name) {
+    var maxDistance = Math.max(1, Math.floor(name.length / 3));
+
+    return Object.keys(routeTable).map(function (candidate) {
+      var distance = editDistance(name, candidate);
+      if ((candidate.length > name.length) && (candidate.slice(-name.length - 1) === '.' + name)) {
+        distance = 0;
+      }
+
+      return {name: candidate, distance: distance};
+    }).filter(function (candidate) {
+      return candidate.distance <= maxDistance;
+    }).sort(function (a, b) {
+      return (a.distance - b.distance) || ((a.name < b.name) ? -1 : 1);
+    }).slice(0, 3).map(function (candidate) {
+      return candidate.name;
+    });
+  }
+
+  function encodeAsterisk(str) {
+    return encodeURI(str).replace(/[?#]/g, function (c) {
+      return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+  }
+
+  // Same as path-to-regexp's tokensToFunction, throwing the errors of urlFor
+  function compile(routeName, pattern, tokens) {
+    var matches = tokens.map(function (token) {
+      return (typeof token === 'object') ? new RegExp('^(?:' + token.pattern + ')$') : null;
+    });
+    var expected = tokens.filter(function (token) {
+      return typeof token === 'object';
+    }).map(function (token) {
+      return String(token.name);
+    });
+
+    return function (data) {
+      var path = '';
+      data = data || {};
+
+      var supplied = Object.keys(data);
+      var missing = function (token) {
+        return new MissingParamError(routeName, pattern, String(token.name), expected, supplied);
+      };
+      var invalid = function (token, value, reason) {
+        return new InvalidParamError(routeName, pattern, String(token.name), expected, supplied, value, reason);
+      };
+
+      for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i];
+        if (typeof token === 'string') {
+          path += token;
+          continue;
+        }
+
+        var value = data[token.name];
+        var segment;
+
+        if (value == null) {
+          if (token.optional) {
+            if (token.partial) {
+              path += token.prefix;
+            }
+            continue;
+          }
+          throw missing(token);
+        }
+
+        if (Array.isArray(value)) {
+          if (!token.repeat) {
+            throw invalid(token, value, 'expected to not repeat');
+          }
+
+          if (value.length === 0) {
+            if (token.optional) {
+              continue;
+            }
+            throw missing(token);
+          }
+
+          for (var j = 0; j < value.length; j++) {
+            segment = encodeURIComponent(value[j]);
+            if (!matches[i].test(segment)) {
+              throw invalid(token, value[j], 'expected to match "' + token.pattern + '"');
+            }
+            path += ((j === 0) ? token.prefix : token.delimiter) + segment;
+          }
+          continue;
+        }
+
+        segment = token.asterisk ? encodeAsterisk(value) : encodeURIComponent(value);
+        if (!matches[i].test(segment)) {
+          throw invalid(token, value, 'expected to match "' + token.pattern + '"');
+        }
+        path += token.prefix + segment;
+      }
+
+      return path;
+    };
+  }
+
+  // Same as query.stringify
+  function stringifyQueries(queries, options) {
+    if (options.serialize) {
+      return options.serialize(queries, options);
+    }
+
+    var arrayFormat = options.arrayFormat || 'repeat';
+    var fields = [];
+
+    var stringifyPrimitive = function (value) {
+      if (typeof value === 'string') {
+        return value;
+      }
+      if ((typeof value === 'number') && isFinite(value)) {
+        return String(value);
+      }
+      if (typeof value === 'boolean') {
+        return value ? 'true' : 'false';
+      }
+      return '';
+    };
+
+    var isObject = function (value) {
+      return (typeof value === 'object') && (value !== null);
+    };
+
+    var keysOf = function (obj) {
+      var keys = Object.keys(obj);
+      if (options.sort) {
+        keys.sort((typeof options.sort === 'function') ? options.sort : undefined);
+      }
+      return keys;
+    };
+
+    var writePrimitive = function (key, value) {
+      if (options.skipNulls && (value == null)) {
+        return;
+      }
+      fields.push(key + '=' + encodeURIComponent(stringifyPrimitive(value)));
+    };
+
+    var write = function (key, value) {
+      if (Array.isArray(value)) {
+        if ((arrayFormat === 'comma') && !value.some(isObject)) {
+          var values = value.filter(function (item) {
+            return !options.skipNulls || (item != null);
+          });
+          if (values.length > 0) {
+            fields.push(key + '=' + values.map(function (item) {
+              return encodeURIComponent(stringifyPrimitive(item));
+            }).join(','));
+          }
+          return;
+        }
+
+        value.forEach(function (item, index) {
+          var itemKey = key;
+          if (arrayFormat === 'brackets') {
+            itemKey = key + '[]';
+          } else if ((arrayFormat === 'indices') || (arrayFormat === 'comma')) {
+            itemKey = key + '[' + index + ']';
+          }
+
+          if (options.nested) {
+            write(itemKey, item);
+          } else {
+            writePrimitive(itemKey, item);
+          }
+        });
+        return;
+      }
+
+      if (options.nested && isObject(value)) {
+        keysOf(value).forEach(function (childKey) {
+          write(key + '[' + encodeURIComponent(childKey) + ']', value[childKey]);
+        });
+        return;
+      }
+
+      writePrimitive(key, value);
+    };
+
+    keysOf(queries).forEach(function (key) {
+      write(encodeURIComponent(key), queries[key]);
+    });
+
+    return fields.join('&');
+  }
+
+  function urlFor(routeName, params, queries, options) {
+    if (!Object.prototype.hasOwnProperty.call(routeTable, routeName)) {
+      throw new UnknownRouteError(routeName, suggestNames(String(routeName)));
+    }
+
+    // Same as helper.localizePattern
+    var route = routeTable[routeName];
+    if (route.generatable === false) {
+      throw new NonGeneratableRouteError(routeName, route.pattern);
+    }
+
+    var locale = options && options.locale;
+    var key = routeName;
+    if (locale && route.locales && Object.prototype.hasOwnProperty.call(route.locales, locale)) {
+      route = route.locales[locale];
+      key = routeName + '\n' + locale;
+    }
+
+    if (!compiled.hasOwnProperty(key)) {
+      compiled[key] = compile(routeName, route.pattern, route.tokens);
+    }
+
+    var url = compiled[key](params);
+    if (queries) {
+      var serializeOptions = {};
+      [queryOptions, options && options.query].forEach(function (obj) {
+        Object.keys(obj || {}).forEach(function (optionKey) {
+          serializeOptions[optionKey] = obj[optionKey];
+        });
+      });
+      var search = stringifyQueries(queries, serializeOptions);
+      if (search !== '') {
+        url = url + '?' + search;
+      }
+    }
+    if (options && (options.hash !== undefined) && (options.hash !== null)) {
+      url = url + toHash(options.hash);
+    }
+
+    if (options && options.object) {
+      return new URL(joinBaseUrl(url, findHost(routeName, options)));
+    }
+    return url;
+  }
+
+  function findHost(routeName, options) {
+    if (options && (options.host !== undefined)) {
+      return options.host;
+    }
+
+    return routeTable[routeName].host;
+  }
+
+  // Same as helper.toHash
+  function toHash(hash) {
+    hash = String(hash).replace(/^#/, '');
+    if (hash === '') {
+      return '';
+    }
+
+    return '#' + encodeURI(hash).replace(/#/g, '%23');
+  }
+
+  // Same as helper.joinUrl
+  function joinBaseUrl(path, host) {
+    var base = baseUrl;
+    if ((host !== undefined) && (host !== null)) {
+      if (!Object.prototype.hasOwnProperty.call(hosts, host)) {
+        throw new Error('Unknown host: ' + host + ', please set it with .setHosts before!');
+      }
+      base = hosts[host];
+    } else if (!baseUrl) {
+      throw new Error('Please set baseUrl with .setBaseUrl before!');
+    }
+
+    return base.replace(/\/+$/, '') + '/' + path.replace(/^\/+/, '');
+  }
+
+  function absoluteUrlFor(routeName, params, queries, options) {
+    if (options && options.object) {
+      return urlFor(routeName, params, queries, options);
+    }
+
+    var path = urlFor(routeName, params, queries, options);
+    return joinBaseUrl(path, findHost(routeName, options));
+  }
+
+  function setBaseUrl(_baseUrl) {
+    baseUrl = _baseUrl;
+  }
+
+  function setHosts(_hosts) {
+    hosts = _hosts || {};
+  }
+
+  function setQueryOptions(_queryOptions) {
+    queryOptions = _queryOptions || {};
+  }
+
+  function getRouteTable() {
+    var table = {};
+    Object.keys(routeTable).forEach(function (routeName) {
+      table[routeName] = routeTable[routeName].pattern;
+    });
+
+    return table;
+  }
+
+  return {
+    urlFor: urlFor,
+    absoluteUrlFor: absoluteUrlFor,
+    setBaseUrl: setBaseUrl,
+    setHosts: setHosts,
+    setQueryOptions: setQueryOptions,
+    getRouteTable: getRouteTable,
+    errors: {
+      UrlForError: UrlForError,
+      UnknownRouteError: UnknownRouteError,
+      MissingParamError: MissingParamError,
+      InvalidParamError: InvalidParamError,
+      NonGeneratableRouteError: NonGeneratableRouteError
+    }
+  };
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Exporter generating a self-contained JavaScript module for the browser, containing the route table
+ * and client-side urlFor, absoluteUrlFor, setBaseUrl, setHosts, setQueryOptions, getRouteTable, and errors with the same semantics
+ * as the server's
+ *
+ * @example
+ *   var fs = require('fs');
+ *   router.buildRouteTable();
+ *   fs.writeFileSync('public/js/routes.js', router.exportClient({format: 'esm', prefix: ['article', 'user']}));
+ *
+ *   In the browser:
+ *   import {urlFor} from './routes.js';
+ *   urlFor('article.detail', {title: 'cool-guy'}) => '/articles/cool-guy'
+ */
+
+var util = require('util');
+
+var pathToRegexp = require('path-to-regexp');
+
+var helper = require('../helper');
+var runtime = require('./client-runtime');
+
+var FORMATS = ['commonjs', 'esm'];
+
+/**
+ * Generate the bundle source code
+ * @param {Object} routeTable - Detailed route table, from getRouteTable({detailed: true})
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'commonjs' (default) or 'esm'
+ * @param {string|Array} [options.prefix] - Only include routes under the given name prefixes
+ * @param {string} [options.baseUrl] - Base URL for absoluteUrlFor, can also be set later with setBaseUrl
+ * @param {Object} [options.hosts] - Base URLs of named hosts for absoluteUrlFor, can also be set later with setHosts
+ * @param {Object} [options.query] - Query serialization options, see query.js. Functions (serialize and sort
+ *    compare function) can not be written to the bundle, set them later with setQueryOptions
+ * @returns {string}
+ */
+exports.generate = function (routeTable, options) {
+  options = options || {};
+  var format = options.format || 'commonjs';
+  var prefixes = [].concat(options.prefix || []);
+
+  if (FORMATS.indexOf(format) === -1) {
+    throw new Error('Unknown client bundle format: ' + format);
+  }
+
+  var table = {};
+  Object.keys(routeTable).forEach(function (routeName) {
+    if (!helper.hasNamePrefix(routeName, prefixes)) {
+      return;
+    }
+
+    // Route having RegExp path is kept, so urlFor throws the same error as the server
+    if (routeTable[routeName].generatable === false) {
+      table[routeName] = {pattern: routeTable[routeName].pattern, generatable: false};
+      return;
+    }
+
+    table[routeName] = {
+      pattern: routeTable[routeName].pattern,
+      tokens: pathToRegexp.parse(routeTable[routeName].pattern)
+    };
+
+    if (routeTable[routeName].host) {
+      table[routeName].host = routeTable[routeName].host;
+    }
+
+    var locales = routeTable[routeName].locales;
+    if (locales) {
+      table[routeName].locales = {};
+      Object.keys(locales).forEach(function (locale) {
+        table[routeName].locales[locale] = {
+          pattern: locales[locale],
+          tokens: pathToRegexp.parse(locales[locale])
+        };
+      });
+    }
+  });
+
+  // ES modules are always strict
+  var lines = ['/* Generated by route-label, do not edit */'];
+  if (format === 'commonjs') {
+    lines.push('\'use strict\';');
+  }
+
+  lines.push('');
+  lines.push(util.format('var createClient = %s;\n', runtime.createClient.toString()));
+  lines.push(util.format('var client = createClient(%s, %s, %s, %s);\n', JSON.stringify(table, null, 2),
+    JSON.stringify(options.baseUrl), JSON.stringify(options.query || {}), JSON.stringify(options.hosts || {})));
+
+  if (format === 'commonjs') {
+    lines.push('module.exports = client;');
+  } else {
+    lines.push('export var urlFor = client.urlFor;');
+    lines.push('export var absoluteUrlFor = client.absoluteUrlFor;');
+    lines.push('export var setBaseUrl = client.setBaseUrl;');
+    lines.push('export var setHosts = client.setHosts;');
+    lines.push('export var setQueryOptions = client.setQueryOptions;');
+    lines.push('export var getRouteTable = client.getRouteTable;');
+    lines.push('export var errors = client.errors;');
+    lines.push('export default client;');
+  }
+
+  return lines.join('\n') + '\n';
+};
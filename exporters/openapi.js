@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * Exporter generating OpenAPI 3 document from the route table
+ *
+ * Every route registered with HTTP methods (get, post, ...) becomes an operation:
+ *   operationId - The route name. If the route has several methods, the method is appended (eg: user.edit.post)
+ *   path - The pattern, with `:param` converted to `{param}`
+ *   parameters - The path parameters, taken from the pattern
+ *
+ * The operation is enriched by the route meta:
+ *   summary, description, tags - Copied as is
+ *   openapi - Merged to the operation (eg: requestBody, responses, security). Fields for a single method
+ *      can be put under the method name, eg: {openapi: {post: {requestBody: {...}}}}
+ *
+ * Routes registered with `use`, `all`, and `addMapping`, and aliases are skipped
+ *
+ * @example
+ *   router.post('user.edit', '/users/:id', {meta: {
+ *     summary: 'Edit user',
+ *     openapi: {requestBody: {content: {'application/json': {schema: {$ref: '#/components/schemas/User'}}}}}
+ *   }}, editController);
+ *
+ *   fs.writeFileSync('openapi.yaml', router.exportOpenApi({format: 'yaml', info: {title: 'Cermati', version: '1.0.0'}}));
+ */
+
+var pathToRegexp = require('path-to-regexp');
+
+var helper = require('../helper');
+
+var OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+var DEFAULT_PARAM_PATTERN = '[^\\/]+?';
+
+/**
+ * Convert the pattern to OpenAPI path, and collect its path parameters
+ * @example
+ * toOpenApiPath('/users/:id(\\d+)/edit') => {
+ *   path: '/users/{id}/edit',
+ *   parameters: [{name: 'id', in: 'path', required: true, schema: {type: 'string', pattern: '^(?:\\d+)$'}}]
+ * }
+ * @param {string} pattern
+ * @returns {Object}
+ */
+exports.toOpenApiPath = function (pattern) {
+  var path = '';
+  var parameters = [];
+  var seen = {};
+
+  pathToRegexp.parse(pattern).forEach(function (token) {
+    if (typeof token === 'string') {
+      path += token;
+      return;
+    }
+
+    var name = String(token.name);
+    path += token.prefix + '{' + name + '}';
+
+    if (seen.hasOwnProperty(name)) {
+      return;
+    }
+    seen[name] = true;
+
+    // OpenAPI has no optional path parameter, so every path parameter is required
+    var schema = {type: 'string'};
+    if (token.pattern !== DEFAULT_PARAM_PATTERN) {
+      schema.pattern = '^(?:' + token.pattern + ')$';
+    }
+    parameters.push({
+      name: name,
+      in: 'path',
+      required: true,
+      schema: schema
+    });
+  });
+
+  return {
+    path: path,
+    parameters: parameters
+  };
+};
+
+/**
+ * Build the operation of a route for a method
+ * @param {string} name - Route name
+ * @param {Object} route - The route from the detailed route table
+ * @param {string} method
+ * @param {Array} parameters - Path parameters
+ * @returns {Object}
+ */
+function buildOperation(name, route, method, parameters) {
+  var methods = route.methods.filter(function (routeMethod) {
+    return OPERATION_METHODS.indexOf(routeMethod) !== -1;
+  });
+  var meta = route.meta || {};
+  var operation = {
+    operationId: (methods.length > 1) ? name + '.' + method : name
+  };
+
+  ['summary', 'description', 'tags'].forEach(function (key) {
+    if (meta[key] !== undefined) {
+      operation[key] = meta[key];
+    }
+  });
+
+  if (route.deprecated) {
+    operation.deprecated = true;
+  }
+
+  // Fields for all methods, then fields for this method
+  var extension = {};
+  var openapi = meta.openapi || {};
+  Object.keys(openapi).forEach(function (key) {
+    if (OPERATION_METHODS.indexOf(key) === -1) {
+      extension[key] = openapi[key];
+    }
+  });
+  extension = helper.mergeObjects([extension, openapi[method]]);
+
+  operation = helper.mergeObjects([operation, extension]);
+  operation.parameters = parameters.concat(extension.parameters || []);
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  if (!operation.responses) {
+    operation.responses = {
+      default: {
+        description: 'Default response'
+      }
+    };
+  }
+
+  return operation;
+}
+
+/**
+ * Generate the OpenAPI document as object
+ * @param {Object} routeTable - Detailed route table, from getRouteTable({detailed: true})
+ * @param {Object} [options]
+ * @param {Object} [options.info] - OpenAPI info object, defaults to {title: 'API', version: '1.0.0'}
+ * @param {Array} [options.servers] - OpenAPI server objects
+ * @param {Object} [options.components] - OpenAPI components object, for the schemas referred by the routes
+ * @param {string|Array} [options.prefix] - Only include routes under the given name prefixes
+ * @returns {Object}
+ */
+exports.generateDocument = function (routeTable, options) {
+  options = options || {};
+  var prefixes = [].concat(options.prefix || []);
+
+  var document = {
+    openapi: '3.0.3',
+    info: options.info || {title: 'API', version: '1.0.0'}
+  };
+  if (options.servers) {
+    document.servers = options.servers;
+  }
+  document.paths = {};
+
+  Object.keys(routeTable).forEach(function (name) {
+    var route = routeTable[name];
+    if (route.aliasOf || (route.generatable === false) || !helper.hasNamePrefix(name, prefixes)) {
+      return;
+    }
+
+    var openApiPath = exports.toOpenApiPath(route.pattern);
+    route.methods.forEach(function (method) {
+      if (OPERATION_METHODS.indexOf(method) === -1) {
+        return;
+      }
+
+      var pathItem = document.paths[openApiPath.path] = document.paths[openApiPath.path] || {};
+      pathItem[method] = buildOperation(name, route, method, openApiPath.parameters);
+    });
+  });
+
+  if (options.components) {
+    document.components = options.components;
+  }
+
+  return document;
+};
+
+/**
+ * Write a string as YAML scalar, quoted unless it is obviously plain
+ */
+function toYamlString(str) {
+  var isPlain = /^[A-Za-z_][A-Za-z0-9_ .-]*$/.test(str) &&
+    (str.charAt(str.length - 1) !== ' ') &&
+    !/^(true|false|yes|no|on|off|null|y|n)$/i.test(str);
+
+  return isPlain ? str : JSON.stringify(str);
+}
+
+/**
+ * Write a value as YAML, in block style
+ * @param value - Object, array, string, number, boolean, or null
+ * @param {string} indent - Indentation of the block
+ * @returns {string}
+ */
+function toYaml(value, indent) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return ' []';
+    }
+
+    return value.map(function (item) {
+      var itemYaml = toYaml(item, indent + '  ');
+      // Nested block starts right after the dash
+      return '\n' + indent + '-' + (/^\n/.test(itemYaml) ? ' ' + itemYaml.replace(/^\n\s*/, '') : itemYaml);
+    }).join('');
+  }
+
+  if ((typeof value === 'object') && (value !== null)) {
+    var keys = Object.keys(value);
+    if (keys.length === 0) {
+      return ' {}';
+    }
+
+    return keys.map(function (key) {
+      return '\n' + indent + toYamlString(key) + ':' + toYaml(value[key], indent + '  ');
+    }).join('');
+  }
+
+  if (typeof value === 'string') {
+    return ' ' + toYamlString(value);
+  }
+
+  return ' ' + JSON.stringify(value);
+}
+
+/**
+ * Serialize the document as JSON or YAML
+ * @param {Object} document - OpenAPI document
+ * @param {string} [format] - 'json' (default) or 'yaml'
+ * @returns {string}
+ */
+exports.stringify = function (document, format) {
+  format = format || 'json';
+
+  if (format === 'json') {
+    return JSON.stringify(document, null, 2) + '\n';
+  }
+
+  if (format === 'yaml') {
+    return toYaml(document, '').replace(/^\n/, '') + '\n';
+  }
+
+  throw new Error('Unknown OpenAPI document format: ' + format);
+};
+
+/**
+ * Generate the OpenAPI document as JSON or YAML
+ * @param {Object} routeTable - Detailed route table, from getRouteTable({detailed: true})
+ * @param {Object} [options] - Options of generateDocument, plus:
+ * @param {string} [options.format] - 'json' (default) or 'yaml'
+ * @returns {string}
+ */
+exports.generate = function (routeTable, options) {
+  options = options || {};
+  return exports.stringify(exports.generateDocument(routeTable, options), options.format);
+};
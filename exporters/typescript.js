@@ -0,0 +1,239 @@
+'use strict';
+
+/**
+ * Exporter generating TypeScript declaration (.d.ts) from the route table, so urlFor calls are type-checked:
+ * the route name must exist, and the params must be complete
+ *
+ * @example
+ *   var fs = require('fs');
+ *   router.buildRouteTable();
+ *   fs.writeFileSync('types/route-label.d.ts', router.exportTypes());
+ *
+ *   In TypeScript:
+ *   import router = require('route-label');
+ *   router.urlFor('article.detail', {title: 'cool-guy'}); // OK
+ *   router.urlFor('article.detial', {title: 'cool-guy'}); // Error, unknown route name
+ *   router.urlFor('article.detail', {}); // Error, title is missing
+ */
+
+var util = require('util');
+
+var pathToRegexp = require('path-to-regexp');
+
+var PARAM_TYPE = 'string | number';
+
+/**
+ * Parse the params of a pattern
+ * @example
+ * parseParams('/articles/:title') => [{name: 'title', optional: false, repeat: false}]
+ * parseParams('/files/:path*') => [{name: 'path', optional: true, repeat: true}]
+ * parseParams('/all/*') => [{name: '0', optional: false, repeat: false}]
+ * @param {string} pattern
+ * @returns {Array}
+ */
+exports.parseParams = function (pattern) {
+  var params = [];
+  var seen = {};
+
+  pathToRegexp.parse(pattern).forEach(function (token) {
+    if ((typeof token !== 'object') || seen.hasOwnProperty(token.name)) {
+      return;
+    }
+
+    seen[token.name] = true;
+    params.push({
+      name: String(token.name),
+      optional: token.optional,
+      repeat: token.repeat
+    });
+  });
+
+  return params;
+};
+
+/**
+ * Write the params of a route as TypeScript object type
+ * @example
+ * paramsToType([]) => '{}'
+ * paramsToType([{name: 'title', optional: false, repeat: false}]) => '{ "title": string | number }'
+ */
+function paramsToType(params) {
+  if (params.length === 0) {
+    return '{}';
+  }
+
+  var fields = params.map(function (param) {
+    var type = param.repeat ? util.format('%s | Array<%s>', PARAM_TYPE, PARAM_TYPE) : PARAM_TYPE;
+    return util.format('%s%s: %s', JSON.stringify(param.name), param.optional ? '?' : '', type);
+  });
+
+  return util.format('{ %s }', fields.join('; '));
+}
+
+/**
+ * Write union of string literals, or never if empty
+ */
+function toUnion(names) {
+  if (names.length === 0) {
+    return 'never';
+  }
+
+  return names.map(function (name) {
+    return JSON.stringify(name);
+  }).join(' | ');
+}
+
+/**
+ * Write the doc comment of a route, containing its methods and pattern, and its deprecation
+ * Patterns (eg: /files/*\/download) and messages may contain `*\/`, which is escaped so it does not end the comment
+ */
+function toDocComment(route, indent) {
+  var text = util.format('%s %s', route.methods.length ? route.methods.join(', ').toUpperCase() : 'ANY', route.pattern);
+  if (route.deprecated) {
+    text += '\n@deprecated ' + route.deprecated.message;
+  }
+
+  return indent + '/**\n' + text.split('\n').map(function (line) {
+    return indent + ' * ' + line.replace(/\*\//g, '*\\/');
+  }).join('\n') + '\n' + indent + ' */';
+}
+
+/**
+ * Indent every non empty line of the text
+ */
+function indent(text, spaces) {
+  return text.split('\n').map(function (line) {
+    return line ? spaces + line : line;
+  }).join('\n');
+}
+
+/**
+ * Write the declarations of RouteName, RouteNameWithoutRequiredParams, RouteParams, and Queries
+ * @param {Object} routeTable - Detailed route table
+ * @returns {string}
+ */
+function declareTypes(routeTable) {
+  // Routes having RegExp path are left out, as urlFor always throws for them
+  var names = Object.keys(routeTable).filter(function (name) {
+    return routeTable[name].generatable !== false;
+  });
+  var withoutRequiredParams = [];
+  var paramsFields = [];
+
+  names.forEach(function (name) {
+    var params = exports.parseParams(routeTable[name].pattern);
+    var hasRequiredParams = params.some(function (param) {
+      return !param.optional;
+    });
+
+    if (!hasRequiredParams) {
+      withoutRequiredParams.push(name);
+    }
+    paramsFields.push(toDocComment(routeTable[name], '  '));
+    paramsFields.push(util.format('  %s: %s;', JSON.stringify(name), paramsToType(params)));
+  });
+
+  return [
+    util.format('export type RouteName = %s;', toUnion(names)),
+    util.format('export type RouteNameWithoutRequiredParams = %s;', toUnion(withoutRequiredParams)),
+    'export interface RouteParams {',
+    paramsFields.join('\n'),
+    '}',
+    'export interface Queries {',
+    '  [key: string]: any;',
+    '}',
+    'export interface QueryOptions {',
+    '  arrayFormat?: "repeat" | "brackets" | "indices" | "comma";',
+    '  nested?: boolean;',
+    '  skipNulls?: boolean;',
+    '  sort?: boolean | ((a: string, b: string) => number);',
+    '  serialize?: (queries: Queries, options: QueryOptions) => string;',
+    '}',
+    'export interface UrlOptions {',
+    '  locale?: string;',
+    '  query?: QueryOptions;',
+    '  hash?: string;',
+    '  object?: boolean;',
+    '  host?: string | null;',
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Write the signatures of urlFor and friends
+ * @param {string} typePrefix - Prefix to refer to the types declared by declareTypes
+ * @returns {Array}
+ */
+function declareFunctions(typePrefix) {
+  return [
+    'urlFor<N extends %sRouteNameWithoutRequiredParams>(routeName: N, params: %sRouteParams[N] | undefined, queries: %sQueries | null | undefined, options: %sUrlOptions & { object: true }): URL;',
+    'urlFor<N extends %sRouteName>(routeName: N, params: %sRouteParams[N], queries: %sQueries | null | undefined, options: %sUrlOptions & { object: true }): URL;',
+    'urlFor<N extends %sRouteNameWithoutRequiredParams>(routeName: N, params?: %sRouteParams[N], queries?: %sQueries, options?: %sUrlOptions): string;',
+    'urlFor<N extends %sRouteName>(routeName: N, params: %sRouteParams[N], queries?: %sQueries, options?: %sUrlOptions): string;',
+    'absoluteUrlFor<N extends %sRouteNameWithoutRequiredParams>(routeName: N, params: %sRouteParams[N] | undefined, queries: %sQueries | null | undefined, options: %sUrlOptions & { object: true }): URL;',
+    'absoluteUrlFor<N extends %sRouteName>(routeName: N, params: %sRouteParams[N], queries: %sQueries | null | undefined, options: %sUrlOptions & { object: true }): URL;',
+    'absoluteUrlFor<N extends %sRouteNameWithoutRequiredParams>(routeName: N, params?: %sRouteParams[N], queries?: %sQueries, options?: %sUrlOptions): string;',
+    'absoluteUrlFor<N extends %sRouteName>(routeName: N, params: %sRouteParams[N], queries?: %sQueries, options?: %sUrlOptions): string;',
+    'setBaseUrl(baseUrl: string): void;',
+    'setHosts(hosts: { [host: string]: string }): void;',
+    'setQueryOptions(options: %sQueryOptions): void;',
+    'getRouteTable(): { [N in %sRouteName]: string };'
+  ].map(function (signature) {
+    return signature.replace(/%s/g, typePrefix);
+  });
+}
+
+/**
+ * Generate the declaration source code
+ * By default, it declares the types in `route-label` module. Give null moduleName to declare them at top level,
+ * for example to accompany the bundle generated by exportClient.
+ *
+ * Declared types:
+ *   RouteName - Union of all route names
+ *   RouteParams - Route name as keys, type of its params as values
+ *   RouteNameWithoutRequiredParams - Route names whose params may be omitted in urlFor
+ *   Queries - Type of queries
+ *   QueryOptions - Type of query serialization options
+ *   UrlOptions - Type of urlFor options
+ *
+ * @param {Object} routeTable - Detailed route table, from getRouteTable({detailed: true})
+ * @param {Object} [options]
+ * @param {string|null} [options.moduleName] - Name of the declared module, defaults to 'route-label'
+ * @returns {string}
+ */
+exports.generate = function (routeTable, options) {
+  options = options || {};
+  var moduleName = (options.moduleName === undefined) ? 'route-label' : options.moduleName;
+  var lines = ['// Generated by route-label, do not edit', ''];
+
+  if (moduleName === null) {
+    lines.push(declareTypes(routeTable));
+    lines.push('');
+    declareFunctions('').forEach(function (signature) {
+      lines.push('export declare function ' + signature);
+    });
+  } else {
+    /*
+     The module is a function (to wrap the app) having urlFor and friends,
+     so it is declared as a value merged with an interface and a namespace (for the types) of the same name
+     */
+    lines.push(util.format('declare module %s {', JSON.stringify(moduleName)));
+    lines.push('  namespace routeLabel {');
+    lines.push(indent(declareTypes(routeTable), '    '));
+    lines.push('  }');
+    lines.push('');
+    lines.push('  interface routeLabel {');
+    lines.push('    (app: any): any;');
+    lines.push('    [key: string]: any;');
+    declareFunctions('routeLabel.').forEach(function (signature) {
+      lines.push('    ' + signature);
+    });
+    lines.push('  }');
+    lines.push('');
+    lines.push('  const routeLabel: routeLabel;');
+    lines.push('  export = routeLabel;');
+    lines.push('}');
+  }
+
+  return lines.join('\n') + '\n';
+};
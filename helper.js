@@ -1,5 +1,9 @@
 'use strict';
 
+var util = require('util');
+
+var pathToRegexp = require('path-to-regexp');
+
 var constants = require('./constants');
 var self = exports;
 
@@ -20,6 +24,26 @@ exports.isValidName = function (name) {
   return name.match(/^[-_.a-zA-Z0-9]+$/) !== null;
 };
 
+/**
+ * Check if the given item is a path accepted by express: string, RegExp, or non-empty array of them
+ * Used to tell the path from the name, options, and middleware in the arguments of router.METHOD
+ * @example
+ * isPath('/articles') => true
+ * isPath(/^\/articles/) => true
+ * isPath(['/articles', '/artikel']) => true
+ * isPath([middleware]) => false
+ * isPath({meta: {}}) => false
+ */
+exports.isPath = function (item) {
+  if ((typeof item === 'string') || (item instanceof RegExp)) {
+    return true;
+  }
+
+  return Array.isArray(item) && (item.length > 0) && item.every(function (path) {
+    return (typeof path === 'string') || (path instanceof RegExp);
+  });
+};
+
 /**
  * Convert given "slice of pattern" to token which is easier to use
  * @author William Gozali <will.gozali@cermati.com>
@@ -48,8 +72,13 @@ exports.toToken = function (item) {
  * buildPath(['/foo', '/:slug']) => '/foo/:slug'
  * buildPath(['/foo', '/bar/:slug', '/wow']) => '/foo/bar/:slug/wow'
  * buildPath(['/foo', '/', '/deep-foo']) => '/foo/deep-foo'
+ * buildPath(['/foo', /^\/bar-(\d+)$/]) => '/foo + /^\/bar-(\d+)$/'
  */
 exports.buildPath = function (pathHierarchy) {
+  if (pathHierarchy.some(function (path) { return path instanceof RegExp; })) {
+    return self.buildRegExpPattern(pathHierarchy);
+  }
+
   var slashIgnored = [];
   pathHierarchy.forEach(function (path) {
     if (path !== '/') {
@@ -64,6 +93,37 @@ exports.buildPath = function (pathHierarchy) {
   return cleanPathHierarchy.join('');
 };
 
+/**
+ * Describe path hierarchy having RegExp path, as it can not be joined into a single pattern
+ * The string paths between RegExp paths are joined, then the parts are separated by ' + '
+ * @example
+ * buildRegExpPattern(['/', /^\/old-(\d+)$/]) => '/^\/old-(\d+)$/'
+ * buildRegExpPattern(['/foo', '/bar', /^\/old-(\d+)$/]) => '/foo/bar + /^\/old-(\d+)$/'
+ * buildRegExpPattern([/^\/old/, '/:id']) => '/^\/old/ + /:id'
+ */
+exports.buildRegExpPattern = function (pathHierarchy) {
+  var parts = [];
+  var strings = [];
+  var flush = function () {
+    if (strings.length > 0) {
+      parts.push(self.buildPath(strings));
+      strings = [];
+    }
+  };
+
+  pathHierarchy.forEach(function (path) {
+    if (path instanceof RegExp) {
+      flush();
+      parts.push(String(path));
+    } else if ((path !== '') && (path !== '/')) {
+      strings.push(path);
+    }
+  });
+  flush();
+
+  return parts.join(' + ');
+};
+
 /**
  * Joins name hierarchy to a single name
  * @author William Gozali <will.gozali@cermati.com>
@@ -88,10 +148,42 @@ exports.buildName = function (pathHierarchy) {
   return cleanNameHierarchy.join('.');
 };
 /**
- * Converts routeTable[NAME].tokens to human readable string, used for logging purpose
+ * Build the name of a sibling route, which is in the same level of hierarchy
+ * @example
+ * buildSiblingName(['creditCard', 'detail'], 'show') => 'creditCard.show'
+ * buildSiblingName(['', 'detail'], 'show') => 'show'
+ */
+exports.buildSiblingName = function (nameHierarchy, siblingName) {
+  return self.buildName(nameHierarchy.slice(0, -1).concat([siblingName]));
+};
+
+/**
+ * Check whether the route name is under one of the name prefixes
+ * A prefix includes the name itself and its children, but not other names starting with the same characters
+ * @example
+ * hasNamePrefix('article.list', ['article']) => true
+ * hasNamePrefix('article', ['article']) => true
+ * hasNamePrefix('articles.list', ['article']) => false
+ * hasNamePrefix('articles.list', []) => true
+ * @param {string} name
+ * @param {Array} prefixes - Empty to include every name
+ * @returns {boolean}
+ */
+exports.hasNamePrefix = function (name, prefixes) {
+  if (prefixes.length === 0) {
+    return true;
+  }
+
+  return prefixes.some(function (prefix) {
+    return (name === prefix) || (name.indexOf(prefix + '.') === 0);
+  });
+};
+
+/**
+ * Converts tokens built by toToken to human readable string, used for logging purpose
  * @author William Gozali <will.gozali@cermati.com>*
  * @example
- * tokensToString(routeTable['article.category'].tokens) => /article/categories/:category
+ * tokensToString('/article/categories/:category'.split('/').map(toToken)) => /article/categories/:category
  */
 exports.tokensToString = function (tokens) {
   return tokens.map(function (token) {
@@ -103,22 +195,690 @@ exports.tokensToString = function (tokens) {
   }).join('/');
 };
 
+/**
+ * Compile a pattern to the function generating path from params, used by urlFor
+ * Static pattern (without params) gets a function returning the constant path, skipping path-to-regexp
+ * @example
+ * compilePattern('/articles/:title')({title: 'cool-guy'}) => '/articles/cool-guy'
+ * compilePattern('/articles')() => '/articles'
+ * @param {string} pattern
+ * @returns {Function}
+ */
+exports.compilePattern = function (pattern) {
+  var tokens = pathToRegexp.parse(pattern);
+  var isStatic = tokens.every(function (token) {
+    return typeof token === 'string';
+  });
+
+  if (isStatic) {
+    var path = tokens.join('');
+    return function () {
+      return path;
+    };
+  }
+
+  return pathToRegexp.tokensToFunction(tokens);
+};
+
 /**
  * Method used to register a route
+ * Besides the pattern, the route keeps the regex used to match URL back to it (see match),
+ * its compiled path generator (see compilePattern), and the HTTP methods it was registered with. Routes registered with `addMapping` have no method.
+ * The meta of a route is its own meta merged over the meta of its parents. When the same route is registered
+ * again (eg: with other method), its own meta is merged with the previous one.
  * @author William Gozali <will.gozali@cermati.com>
  */
-exports.register = function (routeTable, nameHierarchy, pathHierarchy) {
+exports.register = function (routeTable, nameHierarchy, pathHierarchy, method, metaHierarchy) {
   var name = self.buildName(nameHierarchy);
   var pattern = self.buildPath(pathHierarchy);
+  var generatable = !pathHierarchy.some(function (path) {
+    return path instanceof RegExp;
+  });
 
-  if (routeTable[name] && (pattern !== routeTable[name].pattern)) {
+  if (routeTable[name] && ((pattern !== routeTable[name].pattern) || routeTable[name].aliasOf)) {
     throw new Error('There are duplicates in route name: ' + name);
   }
 
+  var conflictingName = self.findConflict(routeTable, name, pattern, method);
+  if (conflictingName !== undefined) {
+    throw new Error(util.format(
+      'There are conflicting routes for %s %s: %s and %s', method, pattern, conflictingName, name
+    ));
+  }
+
+  var methods = routeTable[name] ? routeTable[name].methods : [];
+  var previousOwnMeta = routeTable[name] ? routeTable[name].ownMeta : {};
+  metaHierarchy = metaHierarchy || [];
+  var inheritedMeta = self.mergeObjects(metaHierarchy.slice(0, -1));
+  var ownMeta = self.mergeObjects([previousOwnMeta, metaHierarchy[metaHierarchy.length - 1]]);
+  if (method && (methods.indexOf(method) === -1)) {
+    methods.push(method);
+  }
+
+  var keys = [];
+  var regexp;
+  if (generatable) {
+    regexp = pathToRegexp(pattern, keys, {
+      end: (method !== 'use')
+    });
+  } else {
+    regexp = self.compileRegExpPath(pathHierarchy, keys);
+  }
+
   routeTable[name] = {
     pattern: pattern,
-    tokens: pattern.split('/').map(self.toToken)
+    toPath: generatable ? self.compilePattern(pattern) : undefined,
+    methods: methods,
+    regexp: regexp,
+    keys: keys,
+    ownMeta: ownMeta,
+    meta: self.mergeObjects([inheritedMeta, ownMeta])
   };
+  if (!generatable) {
+    routeTable[name].generatable = false;
+  }
+};
+
+/**
+ * Compile the path hierarchy of a route having RegExp path, to match URL back to it
+ * Only a RegExp path mounted at the root can be matched, as express matches it against the path relative
+ * to the mount path. Otherwise, null is returned and the route is never matched.
+ * @example
+ * compileRegExpPath(['/', /^\/old-(\d+)$/], keys) => /^\/old-(\d+)$/, keys => [{name: 0, ...}]
+ * compileRegExpPath(['/legacy', /^\/old-(\d+)$/], keys) => null
+ * @param {Array} pathHierarchy
+ * @param {Array} keys - Filled with the keys of the RegExp groups
+ * @returns {RegExp|null}
+ */
+exports.compileRegExpPath = function (pathHierarchy, keys) {
+  var paths = pathHierarchy.filter(function (path) {
+    return (path !== '') && (path !== '/');
+  });
+
+  if ((paths.length !== 1) || !(paths[0] instanceof RegExp)) {
+    return null;
+  }
+
+  return pathToRegexp(paths[0], keys);
+};
+
+/**
+ * Build the other patterns of a route having array paths, besides its pattern (built from the first path of each level)
+ * Combinations having RegExp path are left out
+ * @example
+ * buildAlternatePaths([['/articles', '/artikel'], ['/:title']]) => ['/artikel/:title']
+ * buildAlternatePaths([['/a', '/b'], ['/c', '/d']]) => ['/a/d', '/b/c', '/b/d']
+ * buildAlternatePaths([['/a'], ['/c']]) => []
+ * @param {Array} pathsHierarchy - Paths of each level, the first one is used for the pattern
+ * @returns {Array}
+ */
+exports.buildAlternatePaths = function (pathsHierarchy) {
+  var combinations = [[]];
+  pathsHierarchy.forEach(function (paths) {
+    var next = [];
+    combinations.forEach(function (combination) {
+      paths.forEach(function (path) {
+        next.push(combination.concat(path));
+      });
+    });
+    combinations = next;
+  });
+
+  var pattern = self.buildPath(pathsHierarchy.map(function (paths) {
+    return paths[0];
+  }));
+  var alternates = [];
+  combinations.forEach(function (combination) {
+    var hasRegExp = combination.some(function (path) {
+      return path instanceof RegExp;
+    });
+    var alternate = self.buildPath(combination);
+    if (!hasRegExp && (alternate !== pattern) && (alternates.indexOf(alternate) === -1)) {
+      alternates.push(alternate);
+    }
+  });
+
+  return alternates;
+};
+
+/**
+ * Register the alternate patterns of a registered route, keeping the ones registered before (eg: with other method)
+ * They are only used by match, urlFor always uses the pattern
+ * @param {Object} routeTable
+ * @param {string} name - Name of the route, must be registered
+ * @param {Array} alternatePaths - Patterns, from buildAlternatePaths
+ * @param {string} method
+ * @param {Array} [previousAlternates] - The alternates of the route before it was registered again
+ */
+exports.registerAlternates = function (routeTable, name, alternatePaths, method, previousAlternates) {
+  var alternates = (previousAlternates || []).slice();
+  var registered = alternates.map(function (alternate) {
+    return alternate.pattern;
+  });
+
+  alternatePaths.forEach(function (pattern) {
+    if (registered.indexOf(pattern) !== -1) {
+      return;
+    }
+
+    var keys = [];
+    alternates.push({
+      pattern: pattern,
+      regexp: pathToRegexp(pattern, keys, {
+        end: (method !== 'use')
+      }),
+      keys: keys
+    });
+  });
+
+  if (alternates.length > 0) {
+    routeTable[name].alternates = alternates;
+  }
+};
+
+/**
+ * Build the localized patterns of a route from its path hierarchy and the `locales` option of each level
+ * A level without pattern for the locale uses its default path
+ * @example
+ * buildLocalePaths(['/kartu-kredit', '/:slug'], [{en: '/credit-cards'}, undefined]) => {en: '/credit-cards/:slug'}
+ * buildLocalePaths(['/kartu-kredit', '/:slug/ajukan'], [{en: '/credit-cards'}, {en: '/:slug/apply', ms: '/:slug/mohon'}]) => {
+ *   en: '/credit-cards/:slug/apply',
+ *   ms: '/kartu-kredit/:slug/mohon'
+ * }
+ * buildLocalePaths(['/foo'], [undefined]) => {}
+ * @param {Array} pathHierarchy
+ * @param {Array} localesHierarchy - The `locales` option of each level, mapping locale to path
+ * @returns {Object} - Locale as keys, pattern as values
+ */
+exports.buildLocalePaths = function (pathHierarchy, localesHierarchy) {
+  var localePaths = {};
+
+  localesHierarchy.forEach(function (locales) {
+    Object.keys(locales || {}).forEach(function (locale) {
+      localePaths[locale] = self.buildPath(pathHierarchy.map(function (path, i) {
+        var levelLocales = localesHierarchy[i] || {};
+        return levelLocales.hasOwnProperty(locale) ? levelLocales[locale] : path;
+      }));
+    });
+  });
+
+  return localePaths;
+};
+
+/**
+ * Register the localized patterns of a registered route, keeping the ones registered before (eg: with other method)
+ * @param {Object} routeTable
+ * @param {string} name - Name of the route, must be registered
+ * @param {Object} localePaths - Locale as keys, pattern as values
+ * @param {string} method
+ * @param {Object} [previousLocales] - The locales of the route before it was registered again
+ */
+exports.registerLocales = function (routeTable, name, localePaths, method, previousLocales) {
+  var locales = self.toPlainObject(previousLocales);
+
+  Object.keys(localePaths).forEach(function (locale) {
+    var pattern = localePaths[locale];
+    if (locales[locale] && (locales[locale].pattern !== pattern)) {
+      throw new Error(util.format('There are duplicates in route name: %s (locale %s)', name, locale));
+    }
+
+    var keys = [];
+    locales[locale] = {
+      pattern: pattern,
+      toPath: self.compilePattern(pattern),
+      regexp: pathToRegexp(pattern, keys, {
+        end: (method !== 'use')
+      }),
+      keys: keys
+    };
+  });
+
+  if (Object.keys(locales).length > 0) {
+    routeTable[name].locales = locales;
+  }
+};
+
+/**
+ * Get the localized route (having pattern and toPath) for the locale, falling back to the route itself
+ * @example
+ * localizeRoute({pattern: '/kartu-kredit', locales: {en: {pattern: '/credit-cards'}}}, 'en') => {pattern: '/credit-cards'}
+ * localizeRoute({pattern: '/kartu-kredit', locales: {en: {pattern: '/credit-cards'}}}, 'id') => {pattern: '/kartu-kredit', ...}
+ */
+exports.localizeRoute = function (route, locale) {
+  if (locale && route.locales && route.locales.hasOwnProperty(locale)) {
+    return route.locales[locale];
+  }
+
+  return route;
+};
+
+/**
+ * Get the pattern of a route for the locale, falling back to the default pattern
+ * @example
+ * localizePattern({pattern: '/kartu-kredit', locales: {en: {pattern: '/credit-cards'}}}, 'en') => '/credit-cards'
+ * localizePattern({pattern: '/kartu-kredit', locales: {en: {pattern: '/credit-cards'}}}, 'id') => '/kartu-kredit'
+ * localizePattern({pattern: '/kartu-kredit'}) => '/kartu-kredit'
+ */
+exports.localizePattern = function (route, locale) {
+  return self.localizeRoute(route, locale).pattern;
+};
+
+/**
+ * Method used to register an alias, another name of an existing route
+ * Alias is resolved to its route by urlFor. Legacy alias also has its own pattern (the old URL),
+ * to be redirected to the route it refers to.
+ * @param {Object} routeTable
+ * @param {string} name - Name of the alias
+ * @param {string} targetName - Name of the route it refers to
+ * @param {string} pattern - For legacy alias, the old pattern. Otherwise the pattern of the route it refers to
+ * @param {boolean} legacy
+ */
+exports.registerAlias = function (routeTable, name, targetName, pattern, legacy) {
+  var previous = routeTable[name];
+  if (previous && ((previous.aliasOf !== targetName) || (previous.pattern !== pattern))) {
+    throw new Error('There are duplicates in route name: ' + name);
+  }
+
+  var keys = [];
+  routeTable[name] = {
+    pattern: pattern,
+    methods: [],
+    regexp: pathToRegexp(pattern, keys),
+    keys: keys,
+    ownMeta: {},
+    meta: {},
+    aliasOf: targetName,
+    legacy: Boolean(legacy)
+  };
+};
+
+/**
+ * Find the host of a route, the nearest one in its hierarchy wins
+ * @example
+ * buildHost(['admin', undefined]) => 'admin'
+ * buildHost(['admin', 'api']) => 'api'
+ * buildHost([undefined, undefined]) => undefined
+ */
+exports.buildHost = function (hostHierarchy) {
+  for (var i = hostHierarchy.length - 1; i >= 0; i--) {
+    if (hostHierarchy[i]) {
+      return hostHierarchy[i];
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Normalize the `deprecated` route option to {message, replacement}
+ * Replacement name is prefixed the same way as the route name
+ * @example
+ * buildDeprecation(true, ['card', 'detail']) => {message: 'Route card.detail is deprecated'}
+ * buildDeprecation('Use slug instead', ['card', 'detail']) => {message: 'Use slug instead'}
+ * buildDeprecation({replacement: 'show'}, ['card', 'detail']) => {
+ *   message: 'Route card.detail is deprecated, use card.show instead',
+ *   replacement: 'card.show'
+ * }
+ */
+exports.buildDeprecation = function (deprecated, nameHierarchy) {
+  var name = self.buildName(nameHierarchy);
+  var options = (typeof deprecated === 'object') ? deprecated : {};
+  var deprecation = {};
+
+  if (options.replacement) {
+    deprecation.replacement = self.buildSiblingName(nameHierarchy, options.replacement);
+  }
+
+  if (typeof deprecated === 'string') {
+    deprecation.message = deprecated;
+  } else if (options.message) {
+    deprecation.message = options.message;
+  } else if (deprecation.replacement) {
+    deprecation.message = util.format('Route %s is deprecated, use %s instead', name, deprecation.replacement);
+  } else {
+    deprecation.message = util.format('Route %s is deprecated', name);
+  }
+
+  return deprecation;
+};
+
+/**
+ * Make sure every alias refers to an existing route, which is not an alias
+ * Legacy patterns must also have every required param of the route they redirect to, so redirectFor can build its URL
+ * @param {Object} routeTable
+ */
+exports.validateAliases = function (routeTable) {
+  for (var name in routeTable) {
+    if (!routeTable.hasOwnProperty(name) || !routeTable[name].aliasOf) {
+      continue;
+    }
+
+    var target = routeTable[routeTable[name].aliasOf];
+    if (!target || target.aliasOf) {
+      throw new Error(util.format(
+        'Alias %s refers to undefined route name: %s', name, routeTable[name].aliasOf
+      ));
+    }
+
+    if (routeTable[name].legacy && (target.generatable !== false)) {
+      var missing = self.findMissingKey(routeTable[name].keys, target.keys);
+      if (missing !== undefined) {
+        throw new Error(util.format(
+          'Legacy pattern %s of %s does not have param "%s" of route %s (%s)',
+          routeTable[name].pattern, name, missing, routeTable[name].aliasOf, target.pattern
+        ));
+      }
+    }
+  }
+};
+
+/**
+ * Find the first required key of the target which is not among the given keys
+ * @example
+ * findMissingKey([{name: 'slug'}], [{name: 'id', optional: false}]) => 'id'
+ * findMissingKey([{name: 'id'}], [{name: 'id', optional: false}, {name: 'page', optional: true}]) => undefined
+ * @param {Array} keys - Keys of path-to-regexp
+ * @param {Array} targetKeys - Keys of path-to-regexp
+ * @returns {string|undefined} - Name of the missing key
+ */
+exports.findMissingKey = function (keys, targetKeys) {
+  var names = keys.map(function (key) {
+    return String(key.name);
+  });
+
+  for (var i = 0; i < targetKeys.length; i++) {
+    if (!targetKeys[i].optional && (names.indexOf(String(targetKeys[i].name)) === -1)) {
+      return String(targetKeys[i].name);
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Find other route name which has been registered with the same method and pattern
+ * The same name may be registered with several methods on one pattern (eg: GET and POST for a form),
+ * but one method and pattern pair can only belong to one name, the later one would never be reached.
+ * Routes without method (`addMapping`) never conflict.
+ * @example
+ * Let's say routeTable['user.edit'] is registered with get on '/users/:id/edit'
+ * findConflict(routeTable, 'user.edit', '/users/:id/edit', 'post') => undefined
+ * findConflict(routeTable, 'user.update', '/users/:id/edit', 'post') => undefined
+ * findConflict(routeTable, 'user.form', '/users/:id/edit', 'get') => 'user.edit'
+ * @returns {string|undefined} - The conflicting route name
+ */
+exports.findConflict = function (routeTable, name, pattern, method) {
+  if (!method) {
+    return undefined;
+  }
+
+  for (var other in routeTable) {
+    if (!routeTable.hasOwnProperty(other) || (other === name)) {
+      continue;
+    }
+
+    var route = routeTable[other];
+    if ((route.pattern === pattern) && (route.methods.indexOf(method) !== -1)) {
+      return other;
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Check whether a route registered with given methods can serve a request with given method
+ * Routes without method (`addMapping`), or registered with `all` or `use`, serve any method.
+ * Like express, HEAD request is served by GET routes.
+ * @example
+ * isMethodAllowed(['get'], 'GET') => true
+ * isMethodAllowed(['get'], 'HEAD') => true
+ * isMethodAllowed(['post'], 'get') => false
+ * isMethodAllowed([], 'delete') => true
+ */
+exports.isMethodAllowed = function (methods, method) {
+  if (!method || (methods.length === 0)) {
+    return true;
+  }
+
+  method = method.toLowerCase();
+  return methods.some(function (allowed) {
+    return (allowed === method) ||
+      (allowed === 'all') ||
+      (allowed === 'use') ||
+      ((allowed === 'get') && (method === 'head'));
+  });
+};
+
+/**
+ * Extract params from the result of matching a route's regex against a path
+ * Repeated params (eg: :path*) are split into array, so urlFor generates the same path from them
+ * @example
+ * extractParams([{name: 'title'}], ['/articles/cool-guy', 'cool-guy']) => {title: 'cool-guy'}
+ * extractParams([{name: 'title'}], ['/articles/cool%20guy', 'cool%20guy']) => {title: 'cool guy'}
+ * extractParams([{name: 'path', repeat: true, delimiter: '/'}], ['/files/a/b', 'a/b']) => {path: ['a', 'b']}
+ */
+exports.extractParams = function (keys, matches) {
+  var params = {};
+  keys.forEach(function (key, i) {
+    var value = matches[i + 1];
+    if (value === undefined) {
+      return;
+    }
+
+    if (key.repeat) {
+      params[key.name] = value.split(key.delimiter).map(decodeParam);
+    } else {
+      params[key.name] = decodeParam(value);
+    }
+  });
+
+  return params;
+};
+
+/**
+ * Decode a param matched from a path
+ * Malformed percent-encoding is kept as is
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+/**
+ * Find the param rejected when generating URL from the tokens, with the same rules as path-to-regexp's compile
+ * Used to explain the error of compile
+ * @example
+ * findInvalidParam(pathToRegexp.parse('/articles/:title'), {}) => {name: 'title', missing: true}
+ * findInvalidParam(pathToRegexp.parse('/flights/:number(\\d+)'), {number: 'test'}) => {
+ *   name: 'number',
+ *   missing: false,
+ *   value: 'test',
+ *   reason: 'expected to match "\\d+"'
+ * }
+ * findInvalidParam(pathToRegexp.parse('/articles/:title'), {title: 'cool-guy'}) => undefined
+ * @param {Array} tokens - Tokens parsed by path-to-regexp's parse
+ * @param {Object} [params]
+ * @returns {Object|undefined}
+ */
+exports.findInvalidParam = function (tokens, params) {
+  params = params || {};
+
+  for (var i = 0; i < tokens.length; i++) {
+    var token = tokens[i];
+    if (typeof token === 'string') {
+      continue;
+    }
+
+    var value = params[token.name];
+    var values = Array.isArray(value) ? value : [value];
+    var matcher = new RegExp('^(?:' + token.pattern + ')$');
+
+    if ((value == null) || (values.length === 0)) {
+      if (!token.optional) {
+        return {name: String(token.name), missing: true};
+      }
+      continue;
+    }
+
+    if (Array.isArray(value) && !token.repeat) {
+      return {name: String(token.name), missing: false, value: value, reason: 'expected to not repeat'};
+    }
+
+    var encode = token.asterisk ? encodeURI : encodeURIComponent;
+    for (var j = 0; j < values.length; j++) {
+      if (!matcher.test(encode(values[j]).replace(/[?#]/g, encodeURIComponent))) {
+        return {
+          name: String(token.name),
+          missing: false,
+          value: values[j],
+          reason: util.format('expected to match "%s"', token.pattern)
+        };
+      }
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Count the edits (insert, delete, replace a character) needed to change a string to another
+ * @example
+ * editDistance('article.detial', 'article.detail') => 2
+ */
+exports.editDistance = function (a, b) {
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i];
+    for (j = 1; j <= b.length; j++) {
+      var cost = (a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Suggest the names similar to a misspelled name, the most similar first
+ * A name is similar when it is at most a third different, or ends with the same segments
+ * @example
+ * suggestNames('article.detial', ['article.list', 'article.detail']) => ['article.detail']
+ * suggestNames('detail', ['article.list', 'article.detail']) => ['article.detail']
+ * @param {string} name
+ * @param {Array} names - Existing names
+ * @param {number} [limit] - Maximum number of suggestions, defaults to 3
+ * @returns {Array}
+ */
+exports.suggestNames = function (name, names, limit) {
+  var maxDistance = Math.max(1, Math.floor(name.length / 3));
+
+  return names.map(function (candidate) {
+    var distance = self.editDistance(name, candidate);
+    if ((candidate.length > name.length) && (candidate.slice(-name.length - 1) === '.' + name)) {
+      distance = 0;
+    }
+
+    return {name: candidate, distance: distance};
+  }).filter(function (candidate) {
+    return candidate.distance <= maxDistance;
+  }).sort(function (a, b) {
+    return (a.distance - b.distance) || ((a.name < b.name) ? -1 : 1);
+  }).slice(0, limit || 3).map(function (candidate) {
+    return candidate.name;
+  });
+};
+
+/**
+ * Join base URL and path, keeping the path prefix of the base URL and avoiding double slash
+ * @example
+ * joinUrl('https://www.cermati.com', '/articles') => 'https://www.cermati.com/articles'
+ * joinUrl('https://www.cermati.com/', '/articles') => 'https://www.cermati.com/articles'
+ * joinUrl('https://www.cermati.com/app/', '/articles') => 'https://www.cermati.com/app/articles'
+ * joinUrl('https://www.cermati.com/app', 'articles') => 'https://www.cermati.com/app/articles'
+ */
+exports.joinUrl = function (baseUrl, path) {
+  return baseUrl.replace(/\/+$/, '') + '/' + path.replace(/^\/+/, '');
+};
+
+/**
+ * Write the hash fragment of URL, with its leading '#'
+ * Characters not allowed in fragment are percent-encoded
+ * @example
+ * toHash('comments') => '#comments'
+ * toHash('#comments') => '#comments'
+ * toHash('komentar baru') => '#komentar%20baru'
+ * toHash('') => ''
+ */
+exports.toHash = function (hash) {
+  hash = String(hash).replace(/^#/, '');
+  if (hash === '') {
+    return '';
+  }
+
+  return '#' + encodeURI(hash).replace(/#/g, '%23');
+};
+
+/**
+ * Copy own enumerable properties of given object to a plain object
+ * Useful for objects without prototype, such as the query parsed by url.parse
+ * @example
+ * toPlainObject(Object.create(null)) => {}
+ * toPlainObject(undefined) => {}
+ */
+exports.toPlainObject = function (obj) {
+  var ret = {};
+  Object.keys(obj || {}).forEach(function (key) {
+    ret[key] = obj[key];
+  });
+
+  return ret;
+};
+
+/**
+ * Check whether given item is route options, which is a plain object
+ * Express app and router are functions, so they are never mistaken as route options
+ * @example
+ * isRouteOptions({meta: {owner: 'growth'}}) => true
+ * isRouteOptions(function (req, res) {}) => false
+ * isRouteOptions([middleware]) => false
+ */
+exports.isRouteOptions = function (item) {
+  if ((typeof item !== 'object') || (item === null) || Array.isArray(item)) {
+    return false;
+  }
+
+  var proto = Object.getPrototypeOf(item);
+  return (proto === Object.prototype) || (proto === null);
+};
+
+/**
+ * Shallow merge list of objects into a new object, the later one wins
+ * Non object items are ignored
+ * @example
+ * mergeObjects([{a: 1, b: 1}, undefined, {b: 2}]) => {a: 1, b: 2}
+ */
+exports.mergeObjects = function (objects) {
+  var ret = {};
+  objects.forEach(function (obj) {
+    if ((typeof obj !== 'object') || (obj === null)) {
+      return;
+    }
+
+    Object.keys(obj).forEach(function (key) {
+      ret[key] = obj[key];
+    });
+  });
+
+  return ret;
 };
 
 /**
@@ -1,7 +1,7 @@
 /**
  * Module to track defined routing and their naming
  * This will build a route name table by traversing the routes hierarchy, starting from routes/index
- * The result will be stored as singleton object, routeTable
+ * The result will be stored in a registry, created by createRegistry()
  *
  * This pattern is used in:
  * https://github.com/alexmingoia/koa-router
@@ -13,91 +13,1048 @@
  *
  * When mode 1 is used, router can register route (.get, .post, ...), buildRouteTable, and urlFor
  * When mode 2 is used, router can only do urlFor(...)
+ *
+ * Both modes use the default registry. Use createRegistry() to get an isolated one:
+ * 3. var registry = require('/path/to/this/router').createRegistry();
+ *    var router = registry(app);
  * @author William Gozali <will.gozali@cermati.com>
  */
 
 'use strict';
 
-var querystring = require('querystring');
+var EventEmitter = require('events').EventEmitter;
+var url = require('url');
+var URL = url.URL;
 var util = require('util');
 
 var helper = require('./helper');
 var constants = require('./constants');
+var errors = require('./errors');
+var lint = require('./lint');
+var middleware = require('./middleware');
+var query = require('./query');
+var signature = require('./signature');
+var templates = require('./templates');
+var clientExporter = require('./exporters/client');
+var typescriptExporter = require('./exporters/typescript');
+var openApiExporter = require('./exporters/openapi');
 
 var pathToRegexp = require('path-to-regexp');
 
-var baseUrl;
-var routeTable;
 var PUSH = constants.PUSH;
 var POP = constants.POP;
 
-// Basic functionality
-var routerBase = {
-  urlFor: urlFor,
-  absoluteUrlFor: absoluteUrlFor,
-  setBaseUrl: setBaseUrl,
-  getRouteTable: getRouteTable
-};
-
 /**
- * Create a router object, provided the express app
- * It wraps `add` function defined above, so it can be easier to use
- *
- * It adapts express routing structure, can be called with this pattern:
- * router.METHOD([name], path, [middleware...], middleware)
+ * Create an independent registry, holding its own route table and base URL
+ * The returned registry has the same shape as `require('route-label')`:
+ * it can be invoked with an express app to create a router, and has urlFor, absoluteUrlFor, signedUrlFor,
+ * verifySignedUrl, setBaseUrl, setHosts, setSigningSecret, setQueryOptions, setDeprecationHandler, getRouteTable,
+ * getRoute, lintRouteTable, match, redirectFor, middleware, legacyRedirect, verifySignature, templateHelpers,
+ * exportClient, exportTypes, exportOpenApi, and onChange attached
  *
- * @author William Gozali <will.gozali@cermati.com>
- * Later, we can:
- *   In routes/index:
- *   var router = require('../router')(app);
- *   var article = require('../modules/article');
- *   router.all('/articles*', middleware.requireLogin); // Just middleware, no name necessary
- *   router.use('articles', '/articles', article.routes);
- *
- *   In module/article/index module:
- *   var express = keystone.express;
- *   var app = express();
- *   var router = require('../../router')(app);
- *   router.get('list', '/', require('./views/list'));
- *   router.get('detail', '/:title', require('./views/detail'));
- *   router.post('save', '/:title', middleware.requireAdmin, require('./views/save')); // Can add middleware
+ * @example
+ *   var adminRegistry = require('route-label').createRegistry();
+ *   var router = adminRegistry(adminApp);
+ *   router.get('dashboard', '/dashboard', dashboardController);
+ *   router.buildRouteTable();
  *
- *   or we can just register name without middleware to route:
- *   router.addMapping('route.all', /route/*);
+ *   adminRegistry.urlFor('dashboard') => '/dashboard'
+ * @returns {Function}
  */
-var router = function (app) {
-  // Inherit other method from app
-  var router = Object.create(app);
+function createRegistry() {
+  var baseUrl;
+  var hosts = {};
+  var signingSecret;
+  var routeTable;
+  // Names of the route table in registration order, as object keys which look like integers are ordered first
+  var routeNames = [];
+  var emitter = new EventEmitter();
+  var deprecationHandler = defaultDeprecationHandler;
+  var warnedNames = {};
+  var queryOptions = {};
+
+  // Basic functionality
+  var routerBase = {
+    urlFor: urlFor,
+    absoluteUrlFor: absoluteUrlFor,
+    signedUrlFor: signedUrlFor,
+    verifySignedUrl: verifySignedUrl,
+    setBaseUrl: setBaseUrl,
+    setHosts: setHosts,
+    setSigningSecret: setSigningSecret,
+    setQueryOptions: setQueryOptions,
+    setDeprecationHandler: setDeprecationHandler,
+    getRouteTable: getRouteTable,
+    getRoute: getRoute,
+    lintRouteTable: lintRouteTable,
+    match: match,
+    redirectFor: redirectFor,
+    middleware: routeMiddleware,
+    legacyRedirect: legacyRedirectMiddleware,
+    verifySignature: verifySignatureMiddleware,
+    templateHelpers: templateHelpers,
+    exportClient: exportClient,
+    exportTypes: exportTypes,
+    exportOpenApi: exportOpenApi,
+    onChange: onChange
+  };
+
+  /**
+   * Create a router object, provided the express app
+   * It wraps `add` function defined below, so it can be easier to use
+   *
+   * It adapts express routing structure, can be called with this pattern:
+   * router.METHOD([name], path, [middleware...], middleware)
+   *
+   * @author William Gozali <will.gozali@cermati.com>
+   * Later, we can:
+   *   In routes/index:
+   *   var router = require('../router')(app);
+   *   var article = require('../modules/article');
+   *   router.all('/articles*', middleware.requireLogin); // Just middleware, no name necessary
+   *   router.use('articles', '/articles', article.routes);
+   *
+   *   In module/article/index module:
+   *   var express = keystone.express;
+   *   var app = express();
+   *   var router = require('../../router')(app);
+   *   router.get('list', '/', require('./views/list'));
+   *   router.get('detail', '/:title', require('./views/detail'));
+   *   router.post('save', '/:title', middleware.requireAdmin, require('./views/save')); // Can add middleware
+   *
+   *   or we can just register name without middleware to route:
+   *   router.addMapping('route.all', /route/*);
+   *
+   *   or chain the methods of a route, registered once with all of them:
+   *   router.route('edit', '/:title/edit').get(require('./views/edit')).post(require('./views/save'));
+   *
+   *   or group a few routes inline, without a separate module:
+   *   router.group('comment', '/:title/comments', middleware.requireLogin, function (sub) {
+   *     sub.get('list', '/', require('./views/comments'));
+   *     sub.post('save', '/', require('./views/save-comment'));
+   *   });
+   */
+  var registry = function (app) {
+    // Inherit other method from app
+    var router = Object.create(app);
+
+    // Attach basic functionality
+    for (var k in routerBase){
+      if (routerBase.hasOwnProperty(k)) {
+        router[k] = routerBase[k];
+      }
+    }
 
-  // Attach basic functionality
+    // Extend with HTTP methods
+    constants.METHODS.forEach(function (method) {
+      router[method] = add.bind(null, method, app);
+    });
+
+    // Extend with additional functions
+    router.use = add.bind(null, 'use', app);
+    router.all = add.bind(null, 'all', app);
+    router.addMapping = add.bind(null, null, app);
+    router.route = route.bind(null, app);
+    router.group = group.bind(null, registry, app);
+    router.buildRouteTable = buildRouteTable.bind(null, app);
+    router.resetRoutes = resetRoutes.bind(null, app);
+    router.rebuildRouteTable = rebuildRouteTable.bind(null, app);
+    router.mergeRouteTable = mergeRouteTable.bind(null, app);
+
+    return router;
+  };
+
+  // If "required" without invoking `(app)`, simply attach basic functionality to returned constructor
   for (var k in routerBase){
     if (routerBase.hasOwnProperty(k)) {
-      router[k] = routerBase[k];
+      registry[k] = routerBase[k];
     }
   }
 
-  // Extend with HTTP methods
-  constants.METHODS.forEach(function (method) {
-    router[method] = add.bind(null, method, app);
-  });
+  return registry;
 
-  // Extend with additional functions
-  router.use = add.bind(null, 'use', app);
-  router.all = add.bind(null, 'all', app);
-  router.addMapping = add.bind(null, null, app);
-  router.buildRouteTable = buildRouteTable.bind(null, app);
+  /**
+   * Generate the route names
+   * After all routing hierarchies are known, call this to build the route names
+   *
+   * Generated route table maps a route name to these fields:
+   * 1. pattern: the raw pattern as string (eg: /artikel/kategori/:category)
+   * 2. methods: HTTP methods the route was registered with, used by match
+   * 3. regexp and keys: the pattern compiled by path-to-regexp, used by match
+   * 4. meta: data given in the route options, merged with the meta of its parents
+   * 5. host: name of the host given in the route options or of its nearest parent having one, used by absoluteUrlFor
+   * 6. toPath: the pattern compiled by helper.compilePattern, used by urlFor. Localized patterns have their own
+   *
+   * Example for the generated routeTable:
+   *   routeTable['article.list'].pattern = '/artikel'
+   *   routeTable['article.list'].methods = ['get']
+   *
+   *   routeTable['article.category'].pattern = '/artikel/kategori/:category'
+   *   routeTable['article.category'].toPath({category: 'tips'}) => '/artikel/kategori/tips'
+   *
+   * In strict mode, building fails when lintRouteTable finds warnings, so routing mistakes are caught on boot:
+   *   router.buildRouteTable({strict: true});
+   * @author William Gozali <will.gozali@cermati.com>
+   * @param app - The express app
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Throw error when the route table has lint warnings
+   */
+  function buildRouteTable(app, options) {
+    if (routeTable !== undefined) {
+      throw new Error('Route table has been built before! Use rebuildRouteTable or mergeRouteTable instead');
+    }
 
-  return router;
-};
+    var names = [];
+    setRouteTable(fillRouteTable({}, app.routeTraversal, names), names, 'build', options);
+  }
 
-// If "required" without invoking `(app)`, simply attach basic functionality to returned constructor
-for (var k in routerBase){
-  if (routerBase.hasOwnProperty(k)) {
-    router[k] = routerBase[k];
+  /**
+   * Discard the route table and build it again from the app
+   * Use this when routes are registered after buildRouteTable, or the routing hierarchy is replaced.
+   * For example, a development server may set up the routing again after a file changes,
+   * then call this to get the new route names without restarting.
+   * @param app - The express app
+   * @param {Object} [options] - Same as buildRouteTable
+   */
+  function rebuildRouteTable(app, options) {
+    var names = [];
+    setRouteTable(fillRouteTable({}, app.routeTraversal, names), names, 'rebuild', options);
   }
+
+  /**
+   * Register named routes of the app to the existing route table, keeping the other routes
+   * Use this for routes loaded after boot, such as plugins: wrap the plugin app with the registry and call this.
+   * The same rules as buildRouteTable apply, so a name can not be taken over with different pattern.
+   * Builds the route table if it has not been built before.
+   * @param app - The express app
+   * @param {Object} [options] - Same as buildRouteTable
+   *
+   * @example
+   *   var pluginRouter = require('route-label')(pluginApp);
+   *   pluginRouter.get('plugin.settings', '/plugins/settings', settingsController);
+   *   pluginRouter.mergeRouteTable();
+   */
+  function mergeRouteTable(app, options) {
+    var table = {};
+    for (var k in routeTable) {
+      if (routeTable.hasOwnProperty(k)) {
+        // Copy the entry, so the current table is untouched when registering fails
+        table[k] = helper.toPlainObject(routeTable[k]);
+        table[k].methods = routeTable[k].methods.slice();
+      }
+    }
+
+    var names = routeNames.slice();
+    setRouteTable(fillRouteTable(table, app.routeTraversal, names), names, 'merge', options);
+  }
+
+  /**
+   * Replace the route table, and notify the change listeners
+   * @param {Object} table - The new route table
+   * @param {string} reason - 'build', 'rebuild', or 'merge'
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Throw error when the new table has lint warnings, keeping the current table
+   */
+  function setRouteTable(table, names, reason, options) {
+    if (options && options.strict) {
+      var warnings = lint.lintRouteTable(table, names);
+      if (warnings.length > 0) {
+        throw new Error('Route table has lint warnings:\n' + warnings.map(function (warning) {
+          return '  ' + warning.message;
+        }).join('\n'));
+      }
+    }
+
+    var previousTable = routeTable || {};
+    routeTable = table;
+    routeNames = names;
+
+    var change = {
+      reason: reason,
+      added: [],
+      removed: [],
+      changed: []
+    };
+
+    for (var name in table) {
+      if (!table.hasOwnProperty(name)) {
+        continue;
+      }
+
+      if (!previousTable.hasOwnProperty(name)) {
+        change.added.push(name);
+      } else if (previousTable[name].pattern !== table[name].pattern) {
+        change.changed.push(name);
+      }
+    }
+
+    for (name in previousTable) {
+      if (previousTable.hasOwnProperty(name) && !table.hasOwnProperty(name)) {
+        change.removed.push(name);
+      }
+    }
+
+    emitter.emit('change', change);
+  }
+
+  /**
+   * Listen to changes of the route table, useful to refresh caches built on it
+   * The listener is called after every buildRouteTable, rebuildRouteTable, and mergeRouteTable, with:
+   *   reason - 'build', 'rebuild', or 'merge'
+   *   added - Names of the new routes
+   *   removed - Names of the routes no longer exist
+   *   changed - Names of the routes whose pattern has changed
+   * @param {Function} listener
+   * @returns {Function} - Call it to stop listening
+   *
+   * @example
+   *   var stopListening = router.onChange(function (change) {
+   *     change => {reason: 'rebuild', added: ['plugin.settings'], removed: [], changed: []}
+   *   });
+   */
+  function onChange(listener) {
+    emitter.on('change', listener);
+
+    return function () {
+      emitter.removeListener('change', listener);
+    };
+  }
+
+  /**
+   * Given a route name and its params, return the final URL
+   * This function works only after buildRouteTable is executed
+   * Throws error when the params is not sufficient to build URL
+   *
+   * Optimized using routeTable[NAME].toPath, compiled once when the route table is built:
+   * 1. Avoid parsing the pattern on every call
+   * 2. Static pattern (without params) returns the constant path directly
+   *
+   * @author William Gozali <will.gozali@cermati.com>
+   * @param {string} routeName - Name of the route
+   * @param {Object} [params] - Params to be fed to url pattern
+   * @param {Object} [queries] - Queries to be appended in the end of url
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Use the localized pattern of the route, if it has one for the locale
+   * @param {Object} [options.query] - Query serialization options for this call, over the ones of setQueryOptions
+   * @param {string} [options.hash] - Fragment appended in the end of url, after the queries
+   * @param {boolean} [options.object] - Return WHATWG URL object resolved against base URL instead of string
+   * @param {string|null} [options.host] - Name of the host to resolve against, over the host of the route.
+   *    Null for the base URL set with setBaseUrl
+   * @returns {string|URL}
+   *
+   * @example
+   * Let's say after routing is done, we have:
+   *   routeTable['creditCard.list'].pattern = '/kartu-kredit'
+   *   routeTable['creditCard.detail'].pattern = '/kartu-kredit/:slug'
+   *   routeTable['creditCard.apply'].pattern = '/kartu-kredit/:slug/ajukan'
+   *
+   * In controller:
+   *   var router = require('../router'); // No need to pass app
+   *   router.urlFor('creditCard.list') => '/kartu-kredit'
+   *   router.urlFor('creditCard.list', {}, {issuer: 'abc'}) => '/kartu-kredit?issuer=abc'
+   *   router.urlFor('creditCard.list', {}, {issuer: 'abc', bonus: 'dog'}) => '/kartu-kredit?issuer=abc&bonus=dog'
+   *   router.urlFor('creditCard.detail', {slug: 'myCard'}) => '/kartu-kredit/myCard'
+   *   router.urlFor('creditCard.detail', {slug: 'myCard'}, {'no-layout': true}) => '/kartu-kredit/myCard?no-layout=true'
+   *   router.urlFor('creditCard.apply', {slug: 'myCard'}) => '/kartu-kredit/myCard/ajukan'
+   *   router.urlFor('creditCard.apply', {title: 'myCard'}) throws MissingParamError because :slug is not filled
+   *   router.urlFor('creditCard.detial', {slug: 'myCard'}) throws UnknownRouteError, suggesting creditCard.detail
+   *
+   * See errors.js for the errors thrown
+   *
+   * Alias is resolved to the route it refers to:
+   *   router.get('detail', '/kartu-kredit/:slug', {aliases: ['show']}, controller);
+   *   router.urlFor('creditCard.show', {slug: 'myCard'}) => '/kartu-kredit/myCard'
+   *
+   * Using deprecated route warns once, see setDeprecationHandler
+   *
+   * Localized pattern is picked by locale, the default pattern is used for other locales:
+   *   router.get('detail', '/kartu-kredit/:slug', {locales: {en: '/en/credit-cards/:slug'}}, controller);
+   *   router.urlFor('creditCard.detail', {slug: 'myCard'}, {}, {locale: 'en'}) => '/en/credit-cards/myCard'
+   *   router.urlFor('creditCard.detail', {slug: 'myCard'}, {}, {locale: 'id'}) => '/kartu-kredit/myCard'
+   *
+   * Hash fragment and URL object:
+   *   router.urlFor('creditCard.detail', {slug: 'myCard'}, {}, {hash: 'reviews'}) => '/kartu-kredit/myCard#reviews'
+   *   router.urlFor('creditCard.detail', {slug: 'myCard'}, {}, {object: true}).pathname => '/kartu-kredit/myCard'
+   */
+  function urlFor(routeName, params, queries, options) {
+    if ((routeTable === undefined) || !routeTable.hasOwnProperty(routeName)) {
+      throw new errors.UnknownRouteError(routeName, helper.suggestNames(String(routeName), Object.keys(routeTable || {})));
+    }
+
+    var route = routeTable[resolveName(routeName)];
+    if (route.deprecated) {
+      warnDeprecated(resolveName(routeName));
+    }
+    if (route.generatable === false) {
+      throw new errors.NonGeneratableRouteError(routeName, route.pattern);
+    }
+
+    var localized = helper.localizeRoute(route, options && options.locale);
+    var url;
+    try {
+      url = localized.toPath(params);
+    } catch (err) {
+      throw buildParamError(routeName, localized.pattern, params) || err;
+    }
+
+    if (queries) {
+      var serializeOptions = helper.mergeObjects([queryOptions, options && options.query]);
+      var search = query.stringify(queries, serializeOptions);
+      if (search !== '') {
+        url = util.format('%s?%s', url, search);
+      }
+    }
+    if (options && (options.hash !== undefined) && (options.hash !== null)) {
+      url = url.concat(helper.toHash(options.hash));
+    }
+
+    if (options && options.object) {
+      return new URL(joinBaseUrl(url, findHost(routeName, options)));
+    }
+    return url;
+  }
+
+  /**
+   * Find the name of the host a route is resolved against, the one in options wins
+   * @param {string} routeName - Name of an existing route
+   * @param {Object} [options] - Options of urlFor
+   * @returns {string|undefined} - Undefined (or null) for the base URL set with setBaseUrl
+   */
+  function findHost(routeName, options) {
+    if (options && (options.host !== undefined)) {
+      return options.host;
+    }
+
+    return routeTable[resolveName(routeName)].host;
+  }
+
+  /**
+   * Join the base URL of the given host and the given path
+   * @param {string} path
+   * @param {string} [host] - Name of the host set with setHosts, uses the base URL set with setBaseUrl if not given
+   * @returns {string}
+   */
+  function joinBaseUrl(path, host) {
+    if ((host !== undefined) && (host !== null)) {
+      if (!hosts.hasOwnProperty(host)) {
+        throw new Error(util.format('Unknown host: %s, please set it with .setHosts before!', host));
+      }
+
+      return helper.joinUrl(hosts[host], path);
+    }
+
+    if (!baseUrl) {
+      throw new Error('Please set baseUrl with .setBaseUrl before!');
+    }
+
+    return helper.joinUrl(baseUrl, path);
+  }
+
+  /**
+   * The reverse of urlFor: given a URL, find the named route serving it
+   * This function works only after buildRouteTable is executed
+   *
+   * Routes are tried in the order they were registered, like express does, and the first match wins.
+   * If method is given, only routes registered with that method (or with `all`, `use`, `addMapping`) are tried.
+   * Aliases are never matched, see redirectFor for legacy patterns.
+   *
+   * @param {string} path - URL to be matched, may contain query string and may be absolute
+   * @param {string} [method] - HTTP method of the request (eg: 'GET', 'post')
+   * @returns {Object|null} - {name, params, query}, or null if no route matches
+   *
+   * @example
+   * Let's say after routing is done, we have:
+   *   routeTable['creditCard.list'].pattern = '/kartu-kredit'
+   *   routeTable['creditCard.detail'].pattern = '/kartu-kredit/:slug'
+   *   routeTable['creditCard.apply'].pattern = '/kartu-kredit/:slug/ajukan', registered with post
+   *
+   * Then:
+   *   router.match('/kartu-kredit') => {name: 'creditCard.list', params: {}, query: {}}
+   *   router.match('/kartu-kredit/myCard?ref=home') => {name: 'creditCard.detail', params: {slug: 'myCard'}, query: {ref: 'home'}}
+   *   router.match('https://www.cermati.com/kartu-kredit/myCard') => {name: 'creditCard.detail', params: {slug: 'myCard'}, query: {}}
+   *   router.match('/kartu-kredit/myCard/ajukan', 'POST') => {name: 'creditCard.apply', params: {slug: 'myCard'}, query: {}}
+   *   router.match('/kartu-kredit/myCard/ajukan', 'GET') => null
+   *
+   * Localized patterns are matched too, the result has the locale:
+   *   routeTable['creditCard.list'].locales = {en: {pattern: '/en/credit-cards'}}
+   *   router.match('/en/credit-cards') => {name: 'creditCard.list', params: {}, query: {}, locale: 'en'}
+   */
+  function match(path, method) {
+    var parsedUrl = url.parse(path, true);
+
+    // Tried in registration order, the same way express does
+    for (var i = 0; i < routeNames.length; i++) {
+      var name = routeNames[i];
+      var route = routeTable[name];
+      if (route.aliasOf || !helper.isMethodAllowed(route.methods, method)) {
+        continue;
+      }
+
+      var matched = matchRoute(name, parsedUrl);
+      if (matched) {
+        return matched;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Match URL against the given route only, trying its pattern, alternate patterns, then localized patterns
+   * @param {string} name - Name of the route, not an alias
+   * @param {Object} parsedUrl - URL parsed with its query
+   * @returns {Object|null} - The same as match
+   */
+  function matchRoute(name, parsedUrl) {
+    var route = routeTable[name];
+    var pathname = parsedUrl.pathname || '/';
+
+    var matches;
+    var candidates = route.regexp ? [route].concat(route.alternates || []) : [];
+    for (var i = 0; i < candidates.length; i++) {
+      matches = candidates[i].regexp.exec(pathname);
+      if (matches) {
+        return {
+          name: name,
+          params: helper.extractParams(candidates[i].keys, matches),
+          query: helper.toPlainObject(parsedUrl.query)
+        };
+      }
+    }
+
+    for (var locale in route.locales) {
+      if (!route.locales.hasOwnProperty(locale)) {
+        continue;
+      }
+
+      matches = route.locales[locale].regexp.exec(pathname);
+      if (matches) {
+        return {
+          name: name,
+          params: helper.extractParams(route.locales[locale].keys, matches),
+          query: helper.toPlainObject(parsedUrl.query),
+          locale: locale
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the current URL of a legacy URL, using the legacy patterns registered with `redirectTo`
+   * Params of the legacy URL are fed to the route it refers to, and the queries are kept
+   * @param {string} path - URL to be matched, may contain query string and may be absolute
+   * @returns {string|null} - null if the URL does not match any legacy pattern
+   *
+   * @example
+   *   router.get('detail', '/credit-cards/:slug', controller);
+   *   router.addMapping('legacy-detail', '/kartu-kredit/:slug', {redirectTo: 'detail'});
+   *
+   *   router.redirectFor('/kartu-kredit/myCard?ref=email') => '/credit-cards/myCard?ref=email'
+   *   router.redirectFor('/credit-cards/myCard') => null
+   */
+  function redirectFor(path) {
+    var parsedUrl = url.parse(path, true);
+    var pathname = parsedUrl.pathname || '/';
+
+    for (var i = 0; i < routeNames.length; i++) {
+      var name = routeNames[i];
+      var route = routeTable[name];
+      if (!route.legacy) {
+        continue;
+      }
+
+      var matches = route.regexp.exec(pathname);
+      if (matches) {
+        var redirectUrl = urlFor(route.aliasOf, helper.extractParams(route.keys, matches));
+        return parsedUrl.search ? redirectUrl + parsedUrl.search : redirectUrl;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create middleware redirecting legacy URLs permanently, see middleware.legacyRedirect
+   * @returns {Function}
+   */
+  function legacyRedirectMiddleware() {
+    return middleware.legacyRedirect(routerBase);
+  }
+
+  /**
+   * Create middleware rejecting requests whose signed URL is not valid for the given route, see middleware.verifySignature
+   * @param {string} routeName - Name of the route the signed URL was generated for
+   * @returns {Function}
+   */
+  function verifySignatureMiddleware(routeName) {
+    return middleware.verifySignature(routerBase, routeName);
+  }
+
+  /**
+   * Create urlFor and absoluteUrlFor helpers of a template engine, see templates.createHelpers
+   * @param {string} engine - 'handlebars', 'ejs', 'pug', or 'nunjucks'
+   * @returns {Object}
+   */
+  function templateHelpers(engine) {
+    return templates.createHelpers(routerBase, engine);
+  }
+
+  /**
+   * Create middleware exposing the named route serving the request, see middleware.routeInfo
+   * @param {Object} [options]
+   * @param {Array} [options.stickyParams] - Names of the params req.urlFor fills from the current route
+   * @returns {Function}
+   */
+  function routeMiddleware(options) {
+    return middleware.routeInfo(routerBase, options);
+  }
+
+  /**
+   * Creates an absolute url for the given routeName, params, and queries.
+   * Path prefix of the base URL is kept, eg: for apps mounted at 'https://cermati.com/app'
+   *
+   * @example
+   *   process.env.BASE_URL = 'https://cermati.com';
+   *   route.absoluteUrlFor('me.applications') === `https://cermati.com/me/applications`;
+   *
+   *   route.setBaseUrl('https://cermati.com/app/');
+   *   route.absoluteUrlFor('me.applications') === `https://cermati.com/app/me/applications`;
+   *
+   * Route bound to a host is resolved against that host, see setHosts:
+   *   router.get('login', '/login', {host: 'accounts'}, controller);
+   *   route.absoluteUrlFor('login') === `https://accounts.cermati.com/login`;
+   *   route.absoluteUrlFor('login', {}, {}, {host: 'www'}) === `https://www.cermati.com/login`;
+   *
+   * @author Sendy Halim <sendy@cermati.com>
+   * @param {string} routeName - Name of the route.
+   * @param {Object} [params] - Params to be fed to url pattern.
+   * @param {Object} [queries] - Queries to be appended in the end of url.
+   * @param {Object} [options] - Same as urlFor
+   * @returns {string|URL}
+   */
+  function absoluteUrlFor(routeName, params, queries, options) {
+    if (options && options.object) {
+      return urlFor(routeName, params, queries, options);
+    }
+
+    var path = urlFor(routeName, params, queries, options);
+    return joinBaseUrl(path, findHost(routeName, options));
+  }
+
+  /**
+   * Creates a URL signed with HMAC-SHA256, which expires after the given time
+   * The signature covers the URL produced by urlFor (path and queries) and the expiry, so none of them can be changed.
+   * The `expires` (unix time in seconds) and `signature` queries are appended, so they can not be used as query names.
+   * Verify the URL with verifySignedUrl or the verifySignature middleware.
+   *
+   * @param {string} routeName - Name of the route
+   * @param {Object} [params] - Params to be fed to url pattern
+   * @param {Object} [queries] - Queries to be appended in the end of url, before the signature
+   * @param {Object} options - Same as urlFor, and:
+   * @param {number} options.expiresIn - Seconds until the URL expires
+   * @param {boolean} [options.absolute] - Resolve the URL against its host or base URL, the same way as absoluteUrlFor.
+   *    Only the path and queries are signed
+   * @returns {string|URL}
+   *
+   * @example
+   *   router.setSigningSecret(process.env.URL_SIGNING_SECRET);
+   *   router.signedUrlFor('statement.download', {id: 123}, {}, {expiresIn: 3600})
+   *     => '/statements/123/download?expires=1700003600&signature=5f1d...'
+   */
+  function signedUrlFor(routeName, params, queries, options) {
+    options = options || {};
+    if (!signingSecret) {
+      throw new Error('Please set signing secret with .setSigningSecret before!');
+    }
+    if ((typeof options.expiresIn !== 'number') || isNaN(options.expiresIn) || (options.expiresIn <= 0)) {
+      throw new Error('Please give positive expiresIn (in seconds) to signedUrlFor');
+    }
+    [signature.EXPIRES, signature.SIGNATURE].forEach(function (reserved) {
+      if (queries && queries.hasOwnProperty(reserved)) {
+        throw new Error(util.format('Query "%s" is reserved for signed URL', reserved));
+      }
+    });
+
+    var expires = Math.floor(Date.now() / 1000 + options.expiresIn);
+    var payload = signature.appendQuery(urlFor(routeName, params, queries, {locale: options.locale, query: options.query}),
+      signature.EXPIRES, expires);
+    var signedUrl = signature.appendQuery(payload, signature.SIGNATURE, signature.sign(payload, signingSecret));
+
+    if ((options.hash !== undefined) && (options.hash !== null)) {
+      signedUrl = signedUrl.concat(helper.toHash(options.hash));
+    }
+
+    if (options.object) {
+      return new URL(joinBaseUrl(signedUrl, findHost(routeName, options)));
+    }
+    if (options.absolute) {
+      return joinBaseUrl(signedUrl, findHost(routeName, options));
+    }
+    return signedUrl;
+  }
+
+  /**
+   * Verify URL generated by signedUrlFor for the given route
+   * The URL must match the route, its path must be the canonical URL (produced by urlFor from the matched params),
+   * and the signature must match the canonical URL with its queries. Throws InvalidSignatureError otherwise, or when the URL has expired.
+   *
+   * @param {string} routeName - Name of the route the URL was generated for
+   * @param {string} path - URL to be verified, may be absolute (eg: req.originalUrl)
+   * @returns {Object} - {name, params, query, expires}, like match. The query excludes expires and signature,
+   *    expires is a Date
+   *
+   * @example
+   *   router.verifySignedUrl('statement.download', '/statements/123/download?expires=1700003600&signature=5f1d...')
+   *     => {name: 'statement.download', params: {id: '123'}, query: {}, expires: new Date(1700003600000)}
+   */
+  function verifySignedUrl(routeName, path) {
+    if ((routeTable === undefined) || !routeTable.hasOwnProperty(routeName)) {
+      throw new errors.UnknownRouteError(routeName, helper.suggestNames(String(routeName), Object.keys(routeTable || {})));
+    }
+    if (!signingSecret) {
+      throw new Error('Please set signing secret with .setSigningSecret before!');
+    }
+
+    var split = signature.splitSignature(url.parse(path).query || '');
+    if (split.signature === undefined) {
+      throw new errors.InvalidSignatureError(routeName, 'missing');
+    }
+
+    // Only the given route is tried, other routes may have the same pattern with other methods
+    var parsedUrl = url.parse(path, true);
+    var matched = matchRoute(resolveName(routeName), parsedUrl);
+    if (!matched) {
+      throw new errors.InvalidSignatureError(routeName, 'mismatch');
+    }
+
+    var canonicalUrl;
+    try {
+      canonicalUrl = urlFor(matched.name, matched.params, null, {locale: matched.locale});
+    } catch (err) {
+      throw new errors.InvalidSignatureError(routeName, 'mismatch');
+    }
+    // Routes registered with `use` match by prefix, so the path must be exactly the signed one
+    if ((parsedUrl.pathname !== canonicalUrl) ||
+      !signature.verify(canonicalUrl + '?' + split.search, split.signature, signingSecret)) {
+      throw new errors.InvalidSignatureError(routeName, 'mismatch');
+    }
+
+    var expires = Number(matched.query[signature.EXPIRES]) * 1000;
+    if (isNaN(expires) || (expires <= Date.now())) {
+      throw new errors.InvalidSignatureError(routeName, 'expired');
+    }
+
+    delete matched.query[signature.EXPIRES];
+    delete matched.query[signature.SIGNATURE];
+    matched.expires = new Date(expires);
+    return matched;
+  }
+
+  /**
+   * Set the secret signing URLs of signedUrlFor
+   * @param {string} secret
+   *
+   * @example
+   *   router.setSigningSecret(process.env.URL_SIGNING_SECRET);
+   */
+  function setSigningSecret(secret) {
+    if ((typeof secret !== 'string') || (secret === '')) {
+      throw new Error('Signing secret must be non-empty string');
+    }
+
+    signingSecret = secret;
+  }
+
+  /**
+   * Set base URL so later we can call `absoluteUrlFor`
+   * @author William Gozali <will.gozali@cermati.com>
+   * @param _baseUrl
+   */
+  function setBaseUrl(_baseUrl) {
+    baseUrl = _baseUrl;
+  }
+
+  /**
+   * Set the base URLs of named hosts, replacing the ones set before
+   * Routes are bound to a host with the `host` route option, routes without host use the base URL of setBaseUrl
+   * @param {Object} _hosts - Host name as keys, base URL as values
+   *
+   * @example
+   *   router.setHosts({
+   *     www: 'https://www.cermati.com',
+   *     api: 'https://api.cermati.com/v1',
+   *     admin: 'https://admin.cermati.com'
+   *   });
+   *
+   *   Per-environment config can replace them at once:
+   *   router.setHosts(config.get('hosts'));
+   */
+  function setHosts(_hosts) {
+    _hosts = _hosts || {};
+    Object.keys(_hosts).forEach(function (host) {
+      if ((typeof _hosts[host] !== 'string') || (_hosts[host] === '')) {
+        throw new Error(util.format('Invalid base URL of host %s: %j', host, _hosts[host]));
+      }
+    });
+
+    hosts = helper.toPlainObject(_hosts);
+  }
+
+  /**
+   * Set how urlFor and absoluteUrlFor serialize the queries, see query.js for the options
+   * By default, the queries are serialized the same way as querystring.stringify
+   * @param {Object} options
+   *
+   * @example
+   *   router.setQueryOptions({nested: true, arrayFormat: 'brackets', skipNulls: true, sort: true});
+   *   router.urlFor('search', {}, {filter: {price: {min: 1}}, tag: ['a', 'b'], page: null})
+   *     => '/search?filter[price][min]=1&tag[]=a&tag[]=b'
+   */
+  function setQueryOptions(options) {
+    options = options || {};
+    query.validateOptions(options);
+    queryOptions = helper.toPlainObject(options);
+  }
+
+  /**
+   * Set the function called when a deprecated route is used for the first time by urlFor or absoluteUrlFor
+   * By default, the warning is printed with console.warn
+   * @param {Function} handler - Called with {name, message, replacement}
+   *
+   * @example
+   *   router.setDeprecationHandler(function (warning) {
+   *     logger.warn(warning.message, {routeName: warning.name, replacement: warning.replacement});
+   *   });
+   */
+  function setDeprecationHandler(handler) {
+    deprecationHandler = handler;
+  }
+
+  /**
+   * Call the deprecation handler, only once for each route name
+   * @param {string} routeName - Name of a deprecated route
+   */
+  function warnDeprecated(routeName) {
+    if (warnedNames.hasOwnProperty(routeName)) {
+      return;
+    }
+    warnedNames[routeName] = true;
+
+    var deprecated = routeTable[routeName].deprecated;
+    deprecationHandler({
+      name: routeName,
+      message: deprecated.message,
+      replacement: deprecated.replacement
+    });
+  }
+
+  /**
+   * Generate JavaScript module for the browser, containing the route table and client-side urlFor
+   * See exporters/client for the options
+   * @param {Object} [options]
+   * @returns {string}
+   */
+  function exportClient(options) {
+    return clientExporter.generate(getRouteTable({detailed: true}), helper.mergeObjects([{query: queryOptions}, options]));
+  }
+
+  /**
+   * Generate TypeScript declaration of route names and their params, so urlFor calls are type-checked
+   * See exporters/typescript for the options
+   * @param {Object} [options]
+   * @returns {string}
+   */
+  function exportTypes(options) {
+    return typescriptExporter.generate(getRouteTable({detailed: true}), options);
+  }
+
+  /**
+   * Generate OpenAPI 3 document of the routes as JSON or YAML
+   * See exporters/openapi for the options
+   * @param {Object} [options]
+   * @returns {string}
+   */
+  function exportOpenApi(options) {
+    return openApiExporter.generate(getRouteTable({detailed: true}), options);
+  }
+
+  /**
+   * Find routing mistakes in the route table: routes with the same pattern, routes shadowed by
+   * an earlier route, and routes whose URL never matches their own pattern
+   * See lint.js for the warning fields
+   * @returns {Array}
+   */
+  function lintRouteTable() {
+    return lint.lintRouteTable(routeTable || {}, routeNames);
+  }
+
+  /**
+   * Return object with route name as keys and the pattern as values
+   * With `detailed` option, the values are objects containing the pattern, HTTP methods, and meta instead
+   * With `locale` option, the patterns are the localized ones, falling back to the default pattern
+   * @author William Gozali <will.gozali@cermati.com>
+   * @param {Object} [options]
+   * @param {boolean} [options.detailed] - Return pattern, methods, meta, and localized patterns of each route
+   * @param {string} [options.locale] - Return the patterns for the locale
+   * @returns {Object}
+   *
+   * @example
+   *   router.getRouteTable() => {'user.edit': '/users/:id/edit'}
+   *   router.getRouteTable({detailed: true}) => {
+   *     'user.edit': {pattern: '/users/:id/edit', methods: ['get', 'post'], meta: {owner: 'growth'}}
+   *   }
+   *
+   *   router.get('card.list', '/kartu-kredit', {locales: {en: '/credit-cards'}}, listController);
+   *   router.getRouteTable({locale: 'en'}) => {'card.list': '/credit-cards'}
+   *   router.getRouteTable({detailed: true}) => {
+   *     'card.list': {pattern: '/kartu-kredit', methods: ['get'], meta: {}, locales: {en: '/credit-cards'}}
+   *   }
+   */
+  function getRouteTable(options) {
+    var detailed = Boolean(options && options.detailed);
+    var locale = options && options.locale;
+    var table = {};
+
+    for (var k in routeTable){
+      if (routeTable.hasOwnProperty(k)) {
+        if (detailed) {
+          table[k] = describeRoute(k);
+          delete table[k].name;
+        } else {
+          table[k] = helper.localizePattern(routeTable[resolveName(k)], locale);
+        }
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Return the name, pattern, HTTP methods, and meta of a route
+   * @param {string} routeName - Name of the route
+   * @returns {Object|null} - null if the route does not exist
+   *
+   * @example
+   *   router.get('user.detail', '/users/:id', {meta: {description: 'User profile'}}, userDetailController);
+   *   router.getRoute('user.detail') => {
+   *     name: 'user.detail',
+   *     pattern: '/users/:id',
+   *     methods: ['get'],
+   *     meta: {description: 'User profile'}
+   *   }
+   */
+  function getRoute(routeName) {
+    if ((routeTable === undefined) || !routeTable.hasOwnProperty(routeName)) {
+      return null;
+    }
+
+    return describeRoute(routeName);
+  }
+
+  /**
+   * Copy the public fields of a route, so the route table can not be modified from outside
+   * Alias is described as the route it refers to, plus `aliasOf` (and `legacyPattern` for legacy alias)
+   * Deprecated route has `deprecated`, containing the message and replacement
+   * Localized route has `locales`, mapping the locale to its pattern
+   * Route having array of paths has `alternates`, the patterns besides its pattern
+   * Route having RegExp path has `generatable` false
+   * @param {string} routeName - Name of an existing route
+   * @returns {Object}
+   */
+  function describeRoute(routeName) {
+    var route = routeTable[resolveName(routeName)];
+
+    var description = {
+      name: routeName,
+      pattern: route.pattern,
+      methods: route.methods.slice(),
+      meta: helper.toPlainObject(route.meta)
+    };
+
+    if (routeTable[routeName].aliasOf) {
+      description.aliasOf = routeTable[routeName].aliasOf;
+    }
+    if (routeTable[routeName].legacy) {
+      description.legacyPattern = routeTable[routeName].pattern;
+    }
+    if (route.deprecated) {
+      description.deprecated = helper.toPlainObject(route.deprecated);
+    }
+    if (route.host) {
+      description.host = route.host;
+    }
+    if (route.generatable === false) {
+      description.generatable = false;
+    }
+    if (route.alternates) {
+      description.alternates = route.alternates.map(function (alternate) {
+        return alternate.pattern;
+      });
+    }
+    if (route.locales) {
+      description.locales = {};
+      Object.keys(route.locales).forEach(function (locale) {
+        description.locales[locale] = route.locales[locale].pattern;
+      });
+    }
+
+    return description;
+  }
+
+  /**
+   * Resolve alias to the name of the route it refers to
+   * @param {string} routeName - Name of an existing route
+   * @returns {string}
+   */
+  function resolveName(routeName) {
+    return routeTable[routeName].aliasOf || routeName;
+  }
+}
+
+/**
+ * Print the deprecation warning, used until setDeprecationHandler is called
+ * @param {Object} warning - {name, message, replacement}
+ */
+function defaultDeprecationHandler(warning) {
+  console.warn('[route-label] ' + warning.message);
 }
 
-module.exports = router;
+/**
+ * Explain why the params can not build URL of the pattern
+ * @param {string} routeName
+ * @param {string} pattern
+ * @param {Object} [params]
+ * @returns {MissingParamError|InvalidParamError|undefined}
+ */
+function buildParamError(routeName, pattern, params) {
+  var tokens = pathToRegexp.parse(pattern);
+  var invalid = helper.findInvalidParam(tokens, params);
+  if (!invalid) {
+    return undefined;
+  }
+
+  var expected = tokens.filter(function (token) {
+    return typeof token === 'object';
+  }).map(function (token) {
+    return String(token.name);
+  });
+  var supplied = Object.keys(params || {});
+
+  if (invalid.missing) {
+    return new errors.MissingParamError(routeName, pattern, invalid.name, expected, supplied);
+  }
+  return new errors.InvalidParamError(routeName, pattern, invalid.name, expected, supplied, invalid.value,
+    invalid.reason);
+}
+
+// `require('route-label')` gives the default registry, shared by everyone requiring this module
+var defaultRegistry = createRegistry();
+defaultRegistry.createRegistry = createRegistry;
+defaultRegistry.errors = errors;
+
+module.exports = defaultRegistry;
 
 
 /**
@@ -105,14 +1062,31 @@ module.exports = router;
  * It wraps around express' routing function, and jot down the routing hierarchy
  *
  * Takes arguments with pattern:
- * method, app, [name,] path, [middleware...,] routeController
+ * method, app, [name,] path, [options,] [middleware...,] routeController
  *
  * Where:
  *   method - Routing method, like 'get', 'post', or special 'use'
  *   app - A keystone.express instance
  *   name - Name of this particular route. Without name, this route and its children won't be registered to routeTable.
  *      You can skip this parameter when registering middleware (eg: middleware.requireLogin)
- *   path - Path for this particular route (eg: '/article', '/article/:slug')
+ *   path - Path for this particular route (eg: '/article', '/article/:slug'). Like express, it can also be:
+ *      Array of paths - urlFor uses the first one, or the one given in `canonical` option. The others are matched too
+ *      RegExp - The route is registered and matched (when mounted at the root), but urlFor throws
+ *         NonGeneratableRouteError for it
+ *   options - Plain object with additional data of the route. This is optional, supported fields:
+ *      meta - Arbitrary data (eg: description, owner, tags), inherited by the children of a `use` route
+ *      aliases - Old names of this route, resolved to this route by urlFor
+ *      redirectTo - Only for addMapping, makes the path a legacy pattern redirected to the given route,
+ *         and makes the name an alias of that route
+ *      deprecated - Marks the route as deprecated, urlFor warns once when it is used. Either true, the message,
+ *         or {message, replacement} where replacement is the name to be used instead
+ *      locales - Localized paths of the route, eg: {en: '/credit-cards/:slug'}. Each of them is also registered to
+ *         express, and children of a `use` route inherit them. urlFor picks the path with its `locale` option
+ *      host - Name of the host serving the route, see setHosts. Children of a `use` route inherit it,
+ *         unless they have their own
+ *      canonical - For array of paths, the path used by urlFor. Defaults to the first path
+ *      Names in aliases, redirectTo, and replacement are prefixed the same way as the name,
+ *         by the submodules it is mounted in
  *   middleware - Sequences of middleware. This is optional
  *   routeController - The controller to handle this route, can also be middleware
  * @author William Gozali <will.gozali@cermati.com>
@@ -130,9 +1104,10 @@ function add() {
   var name;
   var path;
   var offset;
+  var options = {};
   var middlewares;
 
-  if (typeof args[3] === 'string') {
+  if ((typeof args[2] === 'string') && helper.isPath(args[3])) {
     // Name is provided
     name = args[2];
     path = args[3];
@@ -146,8 +1121,25 @@ function add() {
     path = args[2];
     offset = 3;
   }
+
+  // Route options may be given right after the path. Unless using addMapping, it must be followed by middleware
+  if (helper.isRouteOptions(args[offset]) && (!method || (args.length > offset + 1))) {
+    options = args[offset];
+    offset++;
+  }
+  if (method && options.redirectTo) {
+    throw new Error(util.format('Option redirectTo of route %s is only for addMapping', name));
+  }
   middlewares = helper.flattenDeep(args.slice(offset));
 
+  // Array of paths is served by express as is, but only one of them is the pattern of the route
+  var canonicalPath = path;
+  var alternatePaths;
+  if (typeof name == 'string') {
+    canonicalPath = findCanonicalPath(name, path, options);
+    alternatePaths = findAlternatePaths(path, canonicalPath);
+  }
+
   if (!app.routeTraversal) {
     // Singleton for each app
     app.routeTraversal = [];
@@ -155,17 +1147,16 @@ function add() {
 
   // Prepare to get deeper
   if (typeof name == 'string') {
-    app.routeTraversal.push({
-      operation: PUSH,
-      name: name,
-      path: path
-    });
+    app.routeTraversal.push(createPushEvent(name, canonicalPath, alternatePaths, method, options));
   }
 
   // Method will be null if we use addMapping()
   if (method) {
-    // Register this for express to do its stuff
+    // Register this for express to do its stuff, including the localized paths
     app[method](path, middlewares);
+    Object.keys(options.locales || {}).forEach(function (locale) {
+      app[method](options.locales[locale], middlewares);
+    });
 
     var routeController = middlewares[middlewares.length - 1];
     if (Array.isArray(routeController.routeTraversal)) {
@@ -186,56 +1177,295 @@ function add() {
     app.routeTraversal.push({
       operation: POP,
       name: name,
-      path: path
+      path: canonicalPath,
+      method: method
     });
   }
 }
 
 /**
- * Generate the route names
- * After all routing hierarchies are known, call this to build the route names
+ * Register a named route whose handlers are given by chaining, like express' `app.route(path)`
+ * The route is recorded once in the routing traversal, with all methods chained to it, so it has one entry in
+ * the route table. Until a method is chained, the route is registered without methods, like addMapping.
+ *
+ * Takes arguments with pattern:
+ * app, name, path, [options]
  *
- * Generated route table maps a route name to 2 fields:
- * 1. pattern: the raw pattern as string (eg: /artikel/kategori/:category)
- * 2. tokens: tokenized pattern, used to optimize urlFor
+ * Where name, path, and options are the same as `add`, except `redirectTo` which is only for addMapping
+ * Without name, it is express' `app.route(path)` as is, so the route is not registered to routeTable
  *
- * Example for the generated routeTable:
- *   routeTable['article.list'].pattern = '/artikel'
- *   routeTable['article.list'].tokens = [
- *     {text: ''},
- *     {text: 'artikel'}
- *   ]
+ * @example
+ *   router.route('article.detail', '/articles/:slug')
+ *     .get(middleware.requireLogin, article.show)
+ *     .put(article.update)
+ *     .delete(article.remove);
  *
- *   routeTable['article.category'].pattern = '/artikel/kategori/:category'
- *   routeTable['article.category'].tokens = [
- *     {text: ''}
- *     {text: 'artikel'},
- *     {text: 'kategori'},
- *     {text: 'category', input: true}
- *   ]
- * @author William Gozali <will.gozali@cermati.com>
- * @param app - The express app
+ *   urlFor('article.detail', {slug: 'foo'}) => '/articles/foo'
+ *   getRoute('article.detail').methods => ['get', 'put', 'delete']
+ *
+ *   router.route('/health').get(healthController); // Unnamed, express' route
+ * @param {Object} app - A keystone.express instance
+ * @param {string} name
+ * @param {string|Array|RegExp} path
+ * @param {Object} [options]
+ * @returns {Object} - Having HTTP methods and `all`, each takes [middleware...,] routeController and returns
+ *   the same object
  */
-function buildRouteTable(app) {
-  if (routeTable !== undefined) {
-    throw new Error('Route table has been built before!');
+function route(app, name, path, options) {
+  if ((typeof name !== 'string') || !helper.isPath(path)) {
+    // No name provided
+    return app.route.apply(app, Array.prototype.slice.call(arguments, 1));
   }
 
-  var stack = [];
-  routeTable = {};
+  if (!helper.isValidName(name)) {
+    throw new Error('Invalid route name: ' + name);
+  }
+
+  options = options || {};
+  if (options.redirectTo) {
+    throw new Error(util.format('Option redirectTo of route %s is only for addMapping', name));
+  }
+
+  var canonicalPath = findCanonicalPath(name, path, options);
+  var alternatePaths = findAlternatePaths(path, canonicalPath);
+  var methods = [];
 
   if (!app.routeTraversal) {
+    // Singleton for each app
+    app.routeTraversal = [];
+  }
+
+  // The methods are chained after the route is recorded, so the POP event keeps them by reference
+  app.routeTraversal.push(createPushEvent(name, canonicalPath, alternatePaths, null, options));
+  app.routeTraversal.push({
+    operation: POP,
+    name: name,
+    path: canonicalPath,
+    method: null,
+    methods: methods
+  });
+
+  // Register this for express to do its stuff, including the localized paths
+  var expressRoutes = [app.route(path)];
+  Object.keys(options.locales || {}).forEach(function (locale) {
+    expressRoutes.push(app.route(options.locales[locale]));
+  });
+
+  var chain = {};
+  constants.METHODS.concat('all').forEach(function (method) {
+    chain[method] = function () {
+      var middlewares = helper.flattenDeep(Array.prototype.slice.call(arguments));
+      expressRoutes.forEach(function (expressRoute) {
+        expressRoute[method](middlewares);
+      });
+
+      if (methods.indexOf(method) === -1) {
+        methods.push(method);
+      }
+
+      return chain;
+    };
+  });
+
+  return chain;
+}
+
+/**
+ * Register a named group of routes inline, mounted with `use` on a nested router
+ * The nested router is created and wrapped with the same registry, then given to the callback to register
+ * the routes of the group. The group name prefixes their names, and the middleware runs before them.
+ *
+ * Takes arguments with pattern:
+ * registry, app, name, path, [options,] [middleware...,] callback
+ *
+ * Where:
+ *   registry - Wraps the nested router, so the group shares the route table of the app
+ *   app - A keystone.express instance
+ *   name, path, and options - The same as `use`, with additional option:
+ *      router - Function creating the nested router, given {mergeParams: true}. Defaults to express.Router,
+ *         required only when express can not be loaded by this module
+ *   middleware - Sequences of middleware shared by the routes of the group. This is optional
+ *   callback - Called with the wrapped nested router, before it is mounted
+ *
+ * @example
+ *   router.group('user', '/users/:id', middleware.requireLogin, function (sub) {
+ *     sub.get('detail', '/', userController.detail);
+ *     sub.get('edit', '/edit', userController.editForm);
+ *   });
+ *
+ *   urlFor('user.edit', {id: 12}) => '/users/12/edit'
+ * @returns {Object} - The wrapped nested router
+ */
+function group(registry, app, name, path) {
+  var args = Array.prototype.slice.call(arguments, 4);
+  var callback = args.pop();
+  var options = {};
+
+  if (typeof callback !== 'function') {
+    throw new Error('Please give callback registering the routes of group ' + name);
+  }
+  if (helper.isRouteOptions(args[0])) {
+    options = args.shift();
+  }
+
+  var createRouter = options.router || loadExpressRouter();
+  var subApp = createRouter({mergeParams: true});
+  var sub = registry(subApp);
+
+  // Routes of the group must be recorded before it is mounted, as `use` copies their traversal
+  callback(sub);
+  add.apply(null, ['use', app, name, path, options].concat(args, [subApp]));
+
+  return sub;
+}
+
+/**
+ * Load express.Router, for creating the nested router of a group
+ * Express is not a dependency of this module, it is loaded from the app using it
+ * @returns {Function}
+ */
+function loadExpressRouter() {
+  try {
+    return require('express').Router;
+  } catch (err) {
+    throw new Error('Can not load express, please give router option to .group, eg: {router: express.Router}');
+  }
+}
+
+/**
+ * Find the path used by urlFor among the paths of a route
+ * Array of paths is served by express as is, but only one of them is the pattern of the route
+ * @example
+ * findCanonicalPath('detail', '/a', {}) => '/a'
+ * findCanonicalPath('detail', ['/a', '/b'], {}) => '/a'
+ * findCanonicalPath('detail', ['/a', '/b'], {canonical: '/b'}) => '/b'
+ * @param {string} name
+ * @param {string|Array|RegExp} path
+ * @param {Object} options - Route options, having optional `canonical`
+ * @returns {string|RegExp}
+ */
+function findCanonicalPath(name, path, options) {
+  if (!Array.isArray(path)) {
+    return path;
+  }
+
+  var canonicalPath = (options.canonical === undefined) ? path[0] : options.canonical;
+  if (path.indexOf(canonicalPath) === -1) {
+    throw new Error(util.format('Canonical path %s of route %s is not one of its paths', canonicalPath, name));
+  }
+
+  return canonicalPath;
+}
+
+/**
+ * Find the paths other than the canonical one, undefined if the route has single path
+ * @example
+ * findAlternatePaths(['/a', '/b', '/c'], '/b') => ['/a', '/c']
+ * findAlternatePaths('/a', '/a') => undefined
+ */
+function findAlternatePaths(path, canonicalPath) {
+  if (!Array.isArray(path)) {
+    return undefined;
+  }
+
+  return path.filter(function (item) {
+    return item !== canonicalPath;
+  });
+}
+
+/**
+ * Create the PUSH event of a named route, recorded in the routing traversal
+ * @param {string} name
+ * @param {string|RegExp} canonicalPath
+ * @param {Array} [alternatePaths]
+ * @param {string} method
+ * @param {Object} options - Route options
+ * @returns {Object}
+ */
+function createPushEvent(name, canonicalPath, alternatePaths, method, options) {
+  return {
+    operation: PUSH,
+    name: name,
+    path: canonicalPath,
+    alternatePaths: alternatePaths,
+    method: method,
+    meta: options.meta,
+    aliases: options.aliases,
+    redirectTo: options.redirectTo,
+    deprecated: options.deprecated,
+    locales: options.locales,
+    host: options.host
+  };
+}
+
+/**
+ * Forget the routes recorded in the routing traversal of the app, so they can be registered again
+ * Without name, the whole traversal is discarded. Given name, only the routes registered (or submodules mounted)
+ * directly to the app with that name are forgotten, so a reloaded submodule can be mounted again with changed routes.
+ * The route table is kept until rebuildRouteTable is called. Express still serves the handlers registered before,
+ * replacing them is up to the app.
+ *
+ * @example
+ *   router.use('article', '/articles', articleModule);
+ *   router.buildRouteTable();
+ *
+ *   // After the article module is reloaded
+ *   router.resetRoutes('article');
+ *   router.use('article', '/articles', reloadedArticleModule);
+ *   router.rebuildRouteTable();
+ * @param {Object} app - A keystone.express instance
+ * @param {string} [name]
+ */
+function resetRoutes(app, name) {
+  if (name === undefined) {
+    app.routeTraversal = [];
     return;
   }
 
+  var depth = 0;
+  var forgetting = false;
+  app.routeTraversal = (app.routeTraversal || []).filter(function (event) {
+    if ((depth === 0) && (event.operation === PUSH)) {
+      forgetting = (event.name === name);
+    }
+
+    depth += (event.operation === PUSH) ? 1 : -1;
+    return !forgetting;
+  });
+}
+
+/**
+ * Register named routes found in the routing traversal to the given route table
+ * The traversal is simulated using a stack, every terminal route (PUSH directly followed by its POP)
+ * is registered with name, pattern, and meta hierarchy taken from the stack
+ * @author William Gozali <will.gozali@cermati.com>
+ * @param {Object} table - Route table to be filled
+ * @param {Array} [routeTraversal] - The app's routeTraversal, recorded by `add`
+ * @param {Array} names - Names of the table in registration order, the new names are appended
+ * @returns {Object} - The given table
+ */
+function fillRouteTable(table, routeTraversal, names) {
+  var stack = [];
+
+  if (!routeTraversal) {
+    return table;
+  }
+
   // Simulate the routing traversal while generating route names
   var previousEvent;
-  for (var i = 0; i < app.routeTraversal.length; i++) {
-    var event = app.routeTraversal[i];
+  for (var i = 0; i < routeTraversal.length; i++) {
+    var event = routeTraversal[i];
     if (event.operation === PUSH) {
       stack.push({
         name: event.name,
-        path: event.path
+        path: event.path,
+        alternatePaths: event.alternatePaths,
+        meta: event.meta,
+        aliases: event.aliases,
+        redirectTo: event.redirectTo,
+        deprecated: event.deprecated,
+        locales: event.locales,
+        host: event.host
       });
     } else {
       if (helper.isTerminalRoute(previousEvent, event)) {
@@ -245,7 +1475,34 @@ function buildRouteTable(app) {
         var patternHierarchy = stack.map(function (item) {
           return item.path;
         });
-        helper.register(routeTable, nameHierarchy, patternHierarchy);
+        var metaHierarchy = stack.map(function (item) {
+          return item.meta;
+        });
+        var localesHierarchy = stack.map(function (item) {
+          return item.locales;
+        });
+        var hostHierarchy = stack.map(function (item) {
+          return item.host;
+        });
+        var pathsHierarchy = stack.map(function (item) {
+          return [item.path].concat(item.alternatePaths || []);
+        });
+
+        // Route registered by `route` has all of its chained methods, or none like addMapping
+        var methods = event.methods ? event.methods : [event.method];
+        if (methods.length === 0) {
+          methods = [null];
+        }
+        var registered = [];
+        for (var j = 0; j < methods.length; j++) {
+          registered = registerTerminalRoute(table, stack[stack.length - 1], nameHierarchy, patternHierarchy,
+            methods[j], metaHierarchy, localesHierarchy, hostHierarchy, pathsHierarchy);
+        }
+        for (var k = 0; k < registered.length; k++) {
+          if (names.indexOf(registered[k]) === -1) {
+            names.push(registered[k]);
+          }
+        }
       }
 
       if (stack.length === 0) {
@@ -261,96 +1518,60 @@ function buildRouteTable(app) {
   if (stack.length !== 0) {
     throw new Error('Leftover element exists in the stack while generating route names, please report this issue');
   }
-}
-
-/**
- * Given a route name and its params, return the final URL
- * This function works only after buildRouteTable is executed
- * Throws error when the params is not sufficient to build URL
- *
- * Optimized using routeTable[NAME].tokens:
- * 1. Avoid matching using regex, and do replace in place (directly in the string)
- * 2. Avoid removing ':' at the front of input token, it was done when generating route table
- *
- * @author William Gozali <will.gozali@cermati.com>
- * @param {string} routeName - Name of the route
- * @param {Object} [params] - Params to be fed to url pattern
- * @param {Object} [queries] - Queries to be appended in the end of url
- * @returns {string}
- *
- * @example
- * Let's say after routing is done, we have:
- *   routeTable['creditCard.list'].pattern = '/kartu-kredit'
- *   routeTable['creditCard.detail'].pattern = '/kartu-kredit/:slug'
- *   routeTable['creditCard.apply'].pattern = '/kartu-kredit/:slug/ajukan'
- *
- * In controller:
- *   var router = require('../router'); // No need to pass app
- *   router.urlFor('creditCard.list') => '/kartu-kredit'
- *   router.urlFor('creditCard.list', {}, {issuer: 'abc'}) => '/kartu-kredit?issuer=abc'
- *   router.urlFor('creditCard.list', {}, {issuer: 'abc', bonus: 'dog'}) => '/kartu-kredit?issuer=abc&bonus=dog'
- *   router.urlFor('creditCard.detail', {slug: 'myCard'}) => '/kartu-kredit/myCard'
- *   router.urlFor('creditCard.detail', {slug: 'myCard'}, {'no-layout': true}) => '/kartu-kredit/myCard?no-layout=true'
- *   router.urlFor('creditCard.apply', {slug: 'myCard'}) => '/kartu-kredit/myCard/ajukan'
- *   router.urlFor('creditCard.apply', {title: 'myCard'}) throws error because :slug is not filled
- */
-function urlFor(routeName, params, queries) {
-  if (routeTable[routeName] === undefined) {
-    throw new Error('Attempted to use undefined routeName: ' + routeName);
-  }
 
-  var toPath = pathToRegexp.compile(routeTable[routeName].pattern);
-  var url= toPath(params);
+  helper.validateAliases(table);
 
-  if (queries) {
-    url = util.format('%s?%s', url, querystring.stringify(queries));
-  }
-  return url;
+  return table;
 }
 
 /**
- * Creates an absolute url for the given routeName, params, and queries.
- *
- * @example
- *   process.env.BASE_URL = 'https://cermati.com';
- *   route.absoluteUrlFor('me.applications') === `https://cermati.com/me/applications`;
- *
- * @author Sendy Halim <sendy@cermati.com>
- * @param {string} routeName - Name of the route.
- * @param {Object} [params] - Params to be fed to url pattern.
- * @param {Object} [queries] - Queries to be appended in the end of url.
- * @returns {string}
+ * Register a terminal route found by fillRouteTable, along with its aliases and deprecation
+ * A route with `redirectTo` is registered as legacy alias instead
+ * @param {Object} table - Route table to be filled
+ * @param {Object} item - The top of the stack, containing route options
+ * @param {Array} nameHierarchy
+ * @param {Array} patternHierarchy
+ * @param {string} method
+ * @param {Array} metaHierarchy
+ * @param {Array} localesHierarchy
+ * @param {Array} hostHierarchy
+ * @param {Array} pathsHierarchy - All paths of each level, for routes having array of paths
+ * @returns {Array} - The registered names, the route followed by its aliases
  */
-function absoluteUrlFor(routeName, params, queries) {
-  if (!baseUrl) {
-    throw new Error('Please set baseUrl with .setBaseUrl before!');
-  }
+function registerTerminalRoute(table, item, nameHierarchy, patternHierarchy, method, metaHierarchy, localesHierarchy,
+                               hostHierarchy, pathsHierarchy) {
+  var name = helper.buildName(nameHierarchy);
+  var pattern = helper.buildPath(patternHierarchy);
 
-  return baseUrl.concat(urlFor(routeName, params, queries));
-}
-
-/**
- * Set base URL so later we can call `absoluteUrlFor`
- * @author William Gozali <will.gozali@cermati.com>
- * @param _baseUrl
- */
-function setBaseUrl(_baseUrl) {
-  baseUrl = _baseUrl;
-}
+  if (item.redirectTo) {
+    helper.registerAlias(table, name, helper.buildSiblingName(nameHierarchy, item.redirectTo), pattern, true);
+    return [name];
+  }
 
-/**
- * Return object with route name as keys and the pattern as values
- * @author William Gozali <will.gozali@cermati.com>
- * @returns {Object}
- */
-function getRouteTable() {
-  var table = {};
+  // Registering the same route again (eg: with other method) keeps it deprecated, and keeps its locales, host,
+  // and alternate paths
+  var deprecated = table[name] && table[name].deprecated;
+  var previousLocales = table[name] && table[name].locales;
+  var previousAlternates = table[name] && table[name].alternates;
+  var host = helper.buildHost(hostHierarchy || []) || (table[name] && table[name].host);
+  if (item.deprecated) {
+    deprecated = helper.buildDeprecation(item.deprecated, nameHierarchy);
+  }
 
-  for (var k in routeTable){
-    if (routeTable.hasOwnProperty(k)) {
-      table[k] = routeTable[k].pattern;
-    }
+  helper.register(table, nameHierarchy, patternHierarchy, method, metaHierarchy);
+  if (deprecated) {
+    table[name].deprecated = deprecated;
   }
+  if (host) {
+    table[name].host = host;
+  }
+  helper.registerLocales(table, name, helper.buildLocalePaths(patternHierarchy, localesHierarchy || []), method,
+    previousLocales);
+  helper.registerAlternates(table, name, helper.buildAlternatePaths(pathsHierarchy || []), method, previousAlternates);
 
-  return table;
+  return [name].concat((item.aliases || []).map(function (alias) {
+    var aliasName = helper.buildSiblingName(nameHierarchy, alias);
+    helper.registerAlias(table, aliasName, name, pattern, false);
+    return aliasName;
+  }));
 }
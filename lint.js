@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * Lint of the route table, finding routing mistakes that are not errors on registration
+ *
+ * Warnings are objects of:
+ *   type - 'duplicate-pattern', 'shadowed', or 'unproducible'
+ *   message - Human readable description
+ *   names - Route names involved, in registration order
+ *   order - Registration order of each name
+ *
+ * @example
+ *   router.get('article.detail', '/articles/:title', detailController);
+ *   router.get('article.new', '/articles/new', newController);
+ *   router.buildRouteTable();
+ *
+ *   router.lintRouteTable() => [{
+ *     type: 'shadowed',
+ *     message: 'Route article.new (/articles/new) is shadowed by article.detail (/articles/:title) registered before it',
+ *     names: ['article.detail', 'article.new'],
+ *     order: [0, 1],
+ *     methods: ['get']
+ *   }]
+ */
+
+var url = require('url');
+var util = require('util');
+
+var pathToRegexp = require('path-to-regexp');
+
+var helper = require('./helper');
+
+// Values tried to fill a param when producing sample URL of a pattern
+var SAMPLE_VALUES = ['1', 'a', 'a1', 'A'];
+
+/**
+ * Produce URLs of the pattern, filling the params with sample values
+ * Each sample prefers one of the sample values, so the samples are as different as the pattern allows
+ * @example
+ * produceSamples('/articles') => ['/articles']
+ * produceSamples('/articles/:title') => ['/articles/1', '/articles/a', '/articles/a1', '/articles/A']
+ * produceSamples('/articles/:id(\\d+)') => ['/articles/1']
+ * produceSamples('/codes/:code([0-9a-f]{8})') => []
+ * @param {string} pattern
+ * @returns {Array} - Empty when the sample values don't fit a param
+ */
+exports.produceSamples = function (pattern) {
+  var tokens = pathToRegexp.parse(pattern);
+  var toPath = pathToRegexp.tokensToFunction(tokens);
+  var samples = [];
+
+  SAMPLE_VALUES.forEach(function (preferred) {
+    var params = {};
+    var fits = tokens.every(function (token) {
+      if (typeof token === 'string') {
+        return true;
+      }
+
+      var matcher = new RegExp('^(?:' + token.pattern + ')$');
+      params[token.name] = [preferred].concat(SAMPLE_VALUES).filter(function (value) {
+        return matcher.test(value);
+      })[0];
+
+      return params[token.name] !== undefined;
+    });
+
+    var sample = fits && toPath(params);
+    if (sample && (samples.indexOf(sample) === -1)) {
+      samples.push(sample);
+    }
+  });
+
+  return samples;
+};
+
+/**
+ * Find the methods of the later route that are served by the earlier route
+ * Routes without method (`addMapping`) are never served, and `use` routes are mounted middlewares,
+ * so neither is considered.
+ * @param {Array} earlierMethods
+ * @param {Array} laterMethods
+ * @returns {Array}
+ */
+function overlappingMethods(earlierMethods, laterMethods) {
+  earlierMethods = earlierMethods.filter(function (method) {
+    return method !== 'use';
+  });
+  if (earlierMethods.length === 0) {
+    return [];
+  }
+
+  return laterMethods.filter(function (method) {
+    return (method !== 'use') && helper.isMethodAllowed(earlierMethods, method);
+  });
+}
+
+/**
+ * Find the warnings of the route table
+ * @param {Object} routeTable - The route table, as built by buildRouteTable
+ * @param {Array} [routeNames] - Names of the route table in registration order. Defaults to its keys, which are
+ *   in registration order unless some names look like integers
+ * @returns {Array} - Warnings, empty when there are none
+ */
+exports.lintRouteTable = function (routeTable, routeNames) {
+  routeNames = routeNames || Object.keys(routeTable);
+
+  // Routes having RegExp path have no pattern to produce samples from
+  var names = routeNames.filter(function (name) {
+    return !routeTable[name].aliasOf && (routeTable[name].generatable !== false);
+  });
+  var order = {};
+  routeNames.forEach(function (name, index) {
+    order[name] = index;
+  });
+
+  var warnings = [];
+  function warn(type, message, involvedNames, extra) {
+    var warning = {
+      type: type,
+      message: message,
+      names: involvedNames,
+      order: involvedNames.map(function (name) {
+        return order[name];
+      })
+    };
+
+    warnings.push(helper.mergeObjects([warning, extra]));
+  }
+
+  names.forEach(function (laterName, laterIndex) {
+    var later = routeTable[laterName];
+    var samples = exports.produceSamples(later.pattern).map(function (sample) {
+      return url.parse(sample).pathname;
+    });
+
+    // The pattern has characters that never reach the path, such as '?' or '#', or need encoding
+    if ((samples.length > 0) && !later.regexp.test(samples[0])) {
+      warn('unproducible', util.format('URL generated for route %s never matches its pattern: %s',
+        laterName, later.pattern), [laterName]);
+      return;
+    }
+
+    names.slice(0, laterIndex).forEach(function (earlierName) {
+      var earlier = routeTable[earlierName];
+      var methods = overlappingMethods(earlier.methods, later.methods);
+
+      if (earlier.regexp.source === later.regexp.source) {
+        if ((earlier.methods.length === 0) || (later.methods.length === 0) || (methods.length > 0)) {
+          warn('duplicate-pattern', util.format('Routes %s and %s have the same pattern: %s',
+            earlierName, laterName, later.pattern), [earlierName, laterName]);
+        }
+        return;
+      }
+
+      // Shadowed when every URL of the later route is served by the earlier route
+      var shadowed = (samples.length > 0) && samples.every(function (sample) {
+        return earlier.regexp.test(sample);
+      });
+      if (shadowed && (methods.length > 0)) {
+        warn('shadowed', util.format('Route %s (%s) is shadowed by %s (%s) registered before it',
+          laterName, later.pattern, earlierName, earlier.pattern), [earlierName, laterName], {methods: methods});
+      }
+    });
+  });
+
+  return warnings;
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Load the registry of an app from its entry file, used by the command line tool (bin/route-label.js)
+ */
+
+var path = require('path');
+
+/**
+ * Check whether given object is a registry or a router, both have getRouteTable
+ * @param obj
+ * @returns {boolean}
+ */
+function isRouteLabel(obj) {
+  return Boolean(obj) && (typeof obj.getRouteTable === 'function');
+}
+
+/**
+ * Find the default registry used by the app, which is route-label installed for the entry file
+ * Falls back to this very module, when route-label is not installed there (eg: the entry is inside this package)
+ * @param {string} entryPath - Absolute path of the entry file
+ * @returns {Function}
+ */
+function findDefaultRegistry(entryPath) {
+  try {
+    return require(require.resolve('route-label', {paths: [path.dirname(entryPath)]}));
+  } catch (err) {
+    return require('./index');
+  }
+}
+
+/**
+ * Require the entry file of an app, and return the registry holding its route table
+ *
+ * If the entry file exports a router (`require('route-label')(app)`) or a registry, it is used.
+ * If it exports the express app (or router) having routes registered with route-label, the app is wrapped with
+ * the default registry. Otherwise the default registry is used, assuming the app registers its routes with it.
+ * When a router or an app is exported, its routes are merged to the route table, so the entry file does not need
+ * to call buildRouteTable (but it may).
+ *
+ * @param {string} entryFile - Path to the entry file, relative to the working directory
+ * @returns {Object} - The exported router or registry, otherwise the default registry
+ *
+ * @example
+ *   In app/routes.js:
+ *   var router = require('route-label')(app);
+ *   router.get('article.list', '/articles', listController);
+ *   module.exports = router;
+ *
+ *   loadRegistry('app/routes.js').getRouteTable() => {'article.list': '/articles'}
+ *
+ *   or in app/index.js:
+ *   module.exports = app;
+ *
+ *   loadRegistry('app/index.js').getRouteTable() => {'article.list': '/articles'}
+ */
+exports.loadRegistry = function (entryFile) {
+  var entryPath = path.resolve(entryFile);
+  var exported = require(entryPath);
+
+  if (!isRouteLabel(exported)) {
+    var registry = findDefaultRegistry(entryPath);
+
+    // The express app records the traversal of the routes registered with route-label
+    if (exported && Array.isArray(exported.routeTraversal)) {
+      registry(exported).mergeRouteTable();
+    }
+    return registry;
+  }
+
+  if (typeof exported.mergeRouteTable === 'function') {
+    exported.mergeRouteTable();
+  }
+
+  return exported;
+};
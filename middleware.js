@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Express middlewares built on top of a registry
+ * They are exposed through the registry, eg: `router.middleware()`, so they share its route table
+ */
+
+var helper = require('./helper');
+
+/**
+ * Wrap urlFor or absoluteUrlFor, so the sticky params are filled from the params of the current route
+ * Explicitly given params override the sticky ones. The other arguments are passed as is.
+ * @param {Function} fn - urlFor or absoluteUrlFor of the registry
+ * @param {Array} stickyParams - Names of the sticky params
+ * @param {Object} routeParams - Params of the current route
+ * @returns {Function}
+ */
+function withStickyParams(fn, stickyParams, routeParams) {
+  var defaults = {};
+  stickyParams.forEach(function (name) {
+    if (routeParams[name] !== undefined) {
+      defaults[name] = routeParams[name];
+    }
+  });
+
+  return function (routeName, params) {
+    var args = Array.prototype.slice.call(arguments);
+    args[1] = helper.mergeObjects([defaults, params]);
+
+    return fn.apply(null, args);
+  };
+}
+
+/**
+ * Create middleware which finds the named route serving the request
+ * The route is found by matching the full URL (`req.originalUrl`) and method with the route table,
+ * so it works from anywhere: top level app or nested submodule mounted with `router.use`
+ *
+ * It sets:
+ *   req.routeName - Name of the route, or null if no named route matches
+ *   req.routeParams - Params of the route, including params from the mount path of submodules
+ *   req.urlFor, req.absoluteUrlFor - Same as the registry's, with the sticky params filled from req.routeParams
+ *   res.locals.urlFor, res.locals.absoluteUrlFor - Same as req.urlFor and req.absoluteUrlFor, for templates
+ *
+ * @param {Object} registry - Object having match, urlFor, and absoluteUrlFor
+ * @param {Object} [options]
+ * @param {Array} [options.stickyParams] - Names of the params carried over from the current route, eg: ['locale']
+ * @returns {Function}
+ *
+ * @example
+ *   app.use(router.middleware());
+ *   router.get('article.detail', '/articles/:title', function (req, res) {
+ *     req.routeName => 'article.detail'
+ *     req.routeParams => {title: 'cool-guy'}
+ *   });
+ *
+ *   With sticky params:
+ *   app.use(router.middleware({stickyParams: ['locale']}));
+ *   router.get('article.detail', '/:locale/articles/:title', function (req, res) {
+ *     // Requested /id/articles/cool-guy
+ *     req.urlFor('article.list') => '/id/articles'
+ *     req.urlFor('article.list', {locale: 'en'}) => '/en/articles'
+ *   });
+ */
+exports.routeInfo = function (registry, options) {
+  var stickyParams = (options && options.stickyParams) || [];
+
+  return function (req, res, next) {
+    var matched = registry.match(req.originalUrl || req.url, req.method);
+
+    req.routeName = matched ? matched.name : null;
+    req.routeParams = matched ? matched.params : {};
+    req.urlFor = withStickyParams(registry.urlFor, stickyParams, req.routeParams);
+    req.absoluteUrlFor = withStickyParams(registry.absoluteUrlFor, stickyParams, req.routeParams);
+
+    res.locals = res.locals || {};
+    res.locals.urlFor = req.urlFor;
+    res.locals.absoluteUrlFor = req.absoluteUrlFor;
+
+    return next();
+  };
+};
+
+/**
+ * Create middleware redirecting legacy URLs to their current URL with 301 (moved permanently)
+ * Legacy patterns are registered with `addMapping` and `redirectTo` option, see registry.redirectFor
+ * Only GET and HEAD requests are redirected, the others are passed to the next middleware
+ *
+ * @param {Object} registry - Object having redirectFor
+ * @returns {Function}
+ *
+ * @example
+ *   router.get('detail', '/credit-cards/:slug', controller);
+ *   router.addMapping('legacy-detail', '/kartu-kredit/:slug', {redirectTo: 'detail'});
+ *   app.use(router.legacyRedirect());
+ *
+ *   GET /kartu-kredit/myCard => 301 to /credit-cards/myCard
+ */
+exports.legacyRedirect = function (registry) {
+  return function (req, res, next) {
+    if ((req.method !== 'GET') && (req.method !== 'HEAD')) {
+      return next();
+    }
+
+    var redirectUrl;
+    try {
+      redirectUrl = registry.redirectFor(req.originalUrl || req.url);
+    } catch (err) {
+      return next(err);
+    }
+
+    if (redirectUrl === null) {
+      return next();
+    }
+
+    res.statusCode = 301;
+    res.setHeader('Location', redirectUrl);
+    return res.end();
+  };
+};
+
+/**
+ * Create middleware rejecting requests whose URL is not signed for the given route by signedUrlFor,
+ * tampered, or expired. The InvalidSignatureError (with status 403) is passed to the next error handler.
+ * On success, it sets req.signedUrl to the result of registry.verifySignedUrl
+ *
+ * @param {Object} registry - Object having verifySignedUrl
+ * @param {string} routeName - Name of the route the URL was signed for
+ * @returns {Function}
+ *
+ * @example
+ *   router.get('statement.download', '/statements/:id/download',
+ *     router.verifySignature('statement.download'), controller);
+ *
+ *   GET /statements/123/download?expires=1700003600&signature=5f1d... => controller
+ *   GET /statements/124/download?expires=1700003600&signature=5f1d... => 403
+ */
+exports.verifySignature = function (registry, routeName) {
+  return function (req, res, next) {
+    try {
+      req.signedUrl = registry.verifySignedUrl(routeName, req.originalUrl || req.url);
+    } catch (err) {
+      return next(err);
+    }
+
+    return next();
+  };
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Query string serialization of urlFor
+ *
+ * Without options, it is the same as node's querystring.stringify. Options:
+ *   arrayFormat - How arrays are written:
+ *      'repeat' (default) - tag=a&tag=b
+ *      'brackets' - tag[]=a&tag[]=b
+ *      'indices' - tag[0]=a&tag[1]=b
+ *      'comma' - tag=a,b
+ *   nested - Write nested objects with brackets, eg: filter[price][min]=1. Otherwise they are written as empty value
+ *   skipNulls - Drop null and undefined values, instead of writing them as empty value
+ *   sort - Sort the keys, so equal queries give equal string (eg: for cache keys). True for alphabetical order,
+ *      or a compare function of two keys
+ *   serialize - Custom serializer, called with (queries, options) and returns the query string. Other options are
+ *      ignored when given
+ *
+ * @example
+ *   query.stringify({filter: {price: {min: 1}}, tag: ['a', 'b'], page: null}, {
+ *     nested: true,
+ *     arrayFormat: 'brackets',
+ *     skipNulls: true
+ *   }) => 'filter[price][min]=1&tag[]=a&tag[]=b'
+ */
+
+var ARRAY_FORMATS = ['repeat', 'brackets', 'indices', 'comma'];
+
+/**
+ * Write a primitive value, the same way as querystring.stringify
+ * Objects and non finite numbers are written as empty string
+ */
+function stringifyPrimitive(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if ((typeof value === 'number') && isFinite(value)) {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  return '';
+}
+
+function isObject(value) {
+  return (typeof value === 'object') && (value !== null);
+}
+
+/**
+ * Check the options, so a typo doesn't silently fall back to the default format
+ * @param {Object} options
+ */
+exports.validateOptions = function (options) {
+  if (options.arrayFormat && (ARRAY_FORMATS.indexOf(options.arrayFormat) === -1)) {
+    throw new Error('Unknown query array format: ' + options.arrayFormat);
+  }
+  if (options.serialize && (typeof options.serialize !== 'function')) {
+    throw new Error('Query serializer must be a function');
+  }
+};
+
+/**
+ * Serialize the queries to query string, without the leading '?'
+ * @param {Object} queries
+ * @param {Object} [options] - See above
+ * @returns {string}
+ */
+exports.stringify = function (queries, options) {
+  options = options || {};
+  exports.validateOptions(options);
+
+  if (options.serialize) {
+    return options.serialize(queries, options);
+  }
+
+  var arrayFormat = options.arrayFormat || 'repeat';
+  var fields = [];
+
+  function keysOf(obj) {
+    var keys = Object.keys(obj);
+    if (options.sort) {
+      keys.sort((typeof options.sort === 'function') ? options.sort : undefined);
+    }
+    return keys;
+  }
+
+  function write(key, value) {
+    if (Array.isArray(value)) {
+      if ((arrayFormat === 'comma') && !value.some(isObject)) {
+        var values = value.filter(function (item) {
+          return !options.skipNulls || (item != null);
+        });
+        if (values.length > 0) {
+          fields.push(key + '=' + values.map(function (item) {
+            return encodeURIComponent(stringifyPrimitive(item));
+          }).join(','));
+        }
+        return;
+      }
+
+      value.forEach(function (item, index) {
+        var itemKey = key;
+        if (arrayFormat === 'brackets') {
+          itemKey = key + '[]';
+        } else if ((arrayFormat === 'indices') || (arrayFormat === 'comma')) {
+          itemKey = key + '[' + index + ']';
+        }
+
+        // Without nested option, items are never arrays or objects, like querystring.stringify
+        if (options.nested) {
+          write(itemKey, item);
+        } else {
+          writePrimitive(itemKey, item);
+        }
+      });
+      return;
+    }
+
+    if (options.nested && isObject(value)) {
+      keysOf(value).forEach(function (childKey) {
+        write(key + '[' + encodeURIComponent(childKey) + ']', value[childKey]);
+      });
+      return;
+    }
+
+    writePrimitive(key, value);
+  }
+
+  function writePrimitive(key, value) {
+    if (options.skipNulls && (value == null)) {
+      return;
+    }
+    fields.push(key + '=' + encodeURIComponent(stringifyPrimitive(value)));
+  }
+
+  keysOf(queries).forEach(function (key) {
+    write(encodeURIComponent(key), queries[key]);
+  });
+
+  return fields.join('&');
+};
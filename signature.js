@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * HMAC signature of URLs generated by signedUrlFor
+ *
+ * The signed payload is the URL produced by urlFor (path and query string) with the `expires` query appended,
+ * the signature is then appended as the last query. Verification removes the `signature` query and signs the rest
+ * again, so changing any param or query value (including expires) breaks the signature.
+ *
+ * @example
+ *   sign('/statements/123?expires=1700000000', 'secret') => 'c0ffee...' (hex of HMAC-SHA256)
+ *   '/statements/123?expires=1700000000&signature=c0ffee...'
+ */
+
+var crypto = require('crypto');
+var util = require('util');
+
+var EXPIRES = 'expires';
+var SIGNATURE = 'signature';
+
+exports.EXPIRES = EXPIRES;
+exports.SIGNATURE = SIGNATURE;
+
+/**
+ * Sign the given URL
+ * @param {string} payload - URL to be signed
+ * @param {string} secret
+ * @returns {string} - Hex of HMAC-SHA256
+ */
+exports.sign = function (payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+/**
+ * Check the signature of the given URL, in constant time
+ * @param {string} payload - URL which was signed
+ * @param {string} signature - Hex of HMAC-SHA256 to be checked
+ * @param {string} secret
+ * @returns {boolean}
+ */
+exports.verify = function (payload, signature, secret) {
+  var expected = Buffer.from(exports.sign(payload, secret), 'hex');
+  var actual = Buffer.from(String(signature), 'hex');
+
+  return (actual.length === expected.length) && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Append a query to the given URL, which may already have query string
+ * @example
+ * appendQuery('/foo', 'expires', 10) => '/foo?expires=10'
+ * appendQuery('/foo?', 'expires', 10) => '/foo?expires=10'
+ * appendQuery('/foo?a=1', 'expires', 10) => '/foo?a=1&expires=10'
+ */
+exports.appendQuery = function (path, key, value) {
+  var separator = '&';
+  if (path.indexOf('?') === -1) {
+    separator = '?';
+  } else if (path[path.length - 1] === '?') {
+    separator = '';
+  }
+
+  return util.format('%s%s%s=%s', path, separator, encodeURIComponent(key), encodeURIComponent(value));
+};
+
+/**
+ * Split the signature off the query string
+ * @example
+ * splitSignature('a=1&expires=10&signature=abc') => {search: 'a=1&expires=10', signature: 'abc'}
+ * splitSignature('a=1') => {search: 'a=1', signature: undefined}
+ * @param {string} search - Query string without '?'
+ * @returns {Object}
+ */
+exports.splitSignature = function (search) {
+  var signature;
+  var parts = search.split('&').filter(function (part) {
+    if (part.indexOf(SIGNATURE + '=') === 0) {
+      signature = part.slice(SIGNATURE.length + 1);
+      return false;
+    }
+    return true;
+  });
+
+  return {search: parts.join('&'), signature: signature};
+};
+
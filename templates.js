@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Template engine helpers built on top of a registry
+ * They are exposed through the registry, eg: `router.templateHelpers('handlebars')`, so they share its route table
+ * and base URL. Every engine gets urlFor and absoluteUrlFor.
+ */
+
+var helper = require('./helper');
+
+var ENGINES = ['handlebars', 'ejs', 'pug', 'nunjucks'];
+
+/**
+ * Split the named arguments of a helper call into params and queries
+ * Named arguments are params, except `query` which is merged into the queries
+ * @param {Array} args - Positional arguments after the route name: [params, queries, options]
+ * @param {Object} named - Named arguments
+ * @returns {Array} - [params, queries, options]
+ */
+function mergeNamedArgs(args, named) {
+  var params = helper.mergeObjects([args[0]]);
+  Object.keys(named).forEach(function (key) {
+    if (key !== 'query') {
+      params[key] = named[key];
+    }
+  });
+
+  var queries = args[1];
+  if (named.query) {
+    queries = helper.mergeObjects([queries, named.query]);
+  }
+
+  return [params, queries, args[2]];
+}
+
+/**
+ * Wrap urlFor or absoluteUrlFor as Handlebars helper
+ * Handlebars passes the hash arguments in the options object, given as the last argument
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function handlebarsHelper(fn) {
+  return function (routeName) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    var options = args.pop();
+
+    return fn.apply(null, [routeName].concat(mergeNamedArgs(args, options.hash || {})));
+  };
+}
+
+/**
+ * Wrap urlFor or absoluteUrlFor as Nunjucks global
+ * Nunjucks passes the keyword arguments as an object marked with __keywords, given as the last argument
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function nunjucksGlobal(fn) {
+  return function (routeName) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    var keywords = {};
+    var last = args[args.length - 1];
+    if (last && last.__keywords) {
+      keywords = helper.mergeObjects([args.pop()]);
+      delete keywords.__keywords;
+    }
+
+    return fn.apply(null, [routeName].concat(mergeNamedArgs(args, keywords)));
+  };
+}
+
+/**
+ * Create the helpers of the given template engine
+ *
+ * Handlebars - Helpers to be registered with registerHelper. Hash arguments are params, and `query` is merged into
+ *   the queries. Use the `urlQuery` helper to write the queries inline:
+ *     {{urlFor "article.detail" title=article.slug}}
+ *     {{urlFor "article.list" query=(urlQuery page=2 sort="new")}}
+ *     {{absoluteUrlFor "article.detail" article}}
+ *
+ * EJS and Pug - Locals calling urlFor and absoluteUrlFor as is:
+ *     <a href="<%= urlFor('article.detail', {title: article.slug}) %>">
+ *     a(href=urlFor('article.detail', {title: article.slug}))
+ *
+ * Nunjucks - Globals to be added with addGlobal. Keyword arguments are params, and `query` is merged into the queries:
+ *     {{ urlFor('article.detail', title=article.slug) }}
+ *     {{ urlFor('article.list', query={page: 2}) }}
+ *
+ * In all engines, the positional arguments are the same as urlFor: (routeName, params, queries, options)
+ *
+ * @param {Object} registry - Object having urlFor and absoluteUrlFor
+ * @param {string} engine - 'handlebars', 'ejs', 'pug', or 'nunjucks'
+ * @returns {Object} - Helper name as keys, helper function as values
+ *
+ * @example
+ *   var hbs = require('handlebars');
+ *   hbs.registerHelper(router.templateHelpers('handlebars'));
+ *
+ *   Object.assign(app.locals, router.templateHelpers('ejs'));
+ *
+ *   var helpers = router.templateHelpers('nunjucks');
+ *   Object.keys(helpers).forEach(function (name) {
+ *     nunjucksEnv.addGlobal(name, helpers[name]);
+ *   });
+ */
+exports.createHelpers = function (registry, engine) {
+  if (ENGINES.indexOf(engine) === -1) {
+    throw new Error('Unknown template engine: ' + engine);
+  }
+
+  var urlFor = function () {
+    return registry.urlFor.apply(null, arguments);
+  };
+  var absoluteUrlFor = function () {
+    return registry.absoluteUrlFor.apply(null, arguments);
+  };
+
+  if (engine === 'handlebars') {
+    return {
+      urlFor: handlebarsHelper(urlFor),
+      absoluteUrlFor: handlebarsHelper(absoluteUrlFor),
+      urlQuery: function (options) {
+        return helper.mergeObjects([options.hash]);
+      }
+    };
+  }
+
+  if (engine === 'nunjucks') {
+    return {
+      urlFor: nunjucksGlobal(urlFor),
+      absoluteUrlFor: nunjucksGlobal(absoluteUrlFor)
+    };
+  }
+
+  return {
+    urlFor: urlFor,
+    absoluteUrlFor: absoluteUrlFor
+  };
+};
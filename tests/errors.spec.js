@@ -0,0 +1,84 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var errors = require('../errors');
+
+describe('router/errors.js', function () {
+  describe('UnknownRouteError', function () {
+    it('should list the suggestions in the message', function () {
+      var error = new errors.UnknownRouteError('article.detial', ['article.detail', 'article.edit']);
+
+      expect(error.message).to.equal('Attempted to use undefined routeName: article.detial, ' +
+        'did you mean article.detail or article.edit?');
+      expect(new errors.UnknownRouteError('nope').message).to.equal('Attempted to use undefined routeName: nope');
+      expect(new errors.UnknownRouteError('nope').suggestions).to.deep.equal([]);
+    });
+  });
+
+  describe('MissingParamError', function () {
+    it('should carry the route and params', function () {
+      var error = new errors.MissingParamError('article.detail', '/articles/:title', 'title', ['title'], ['slug']);
+
+      expect(error.message).to.equal('Missing param "title" of route article.detail (/articles/:title)');
+      expect(error).to.include({
+        name: 'MissingParamError',
+        routeName: 'article.detail',
+        pattern: '/articles/:title',
+        paramName: 'title'
+      });
+      expect(error.expected).to.deep.equal(['title']);
+      expect(error.supplied).to.deep.equal(['slug']);
+    });
+  });
+
+  describe('InvalidParamError', function () {
+    it('should carry the value and the reason', function () {
+      var error = new errors.InvalidParamError('flight', '/flights/:number(\\d+)', 'number', ['number'], ['number'],
+        'GA-123', 'expected to match "\\d+"');
+
+      expect(error.message).to.equal('Invalid param "number" of route flight (/flights/:number(\\d+)): ' +
+        'expected to match "\\d+", but received "GA-123"');
+      expect(error).to.include({
+        name: 'InvalidParamError',
+        value: 'GA-123',
+        reason: 'expected to match "\\d+"'
+      });
+    });
+  });
+
+  describe('NonGeneratableRouteError', function () {
+    it('should carry the pattern', function () {
+      var error = new errors.NonGeneratableRouteError('legacy.article', '/^\\/artikel-(\\d+)$/');
+
+      expect(error.message).to.equal('Route legacy.article has RegExp path /^\\/artikel-(\\d+)$/, its URL can not be generated');
+      expect(error).to.include({
+        name: 'NonGeneratableRouteError',
+        routeName: 'legacy.article',
+        pattern: '/^\\/artikel-(\\d+)$/'
+      });
+    });
+  });
+
+  describe('InvalidSignatureError', function () {
+    it('should carry the reason and forbidden status', function () {
+      var error = new errors.InvalidSignatureError('statement.download', 'expired');
+
+      expect(error.message).to.equal('Invalid signed URL of route statement.download: expired');
+      expect(error).to.include({
+        name: 'InvalidSignatureError',
+        routeName: 'statement.download',
+        reason: 'expired',
+        status: 403
+      });
+    });
+  });
+
+  it('should be instances of Error and UrlForError with stack trace', function () {
+    var error = new errors.MissingParamError('article.detail', '/articles/:title', 'title', ['title'], []);
+
+    expect(error).to.be.an.instanceof(Error);
+    expect(error).to.be.an.instanceof(errors.UrlForError);
+    expect(error.stack).to.contain('MissingParamError: Missing param "title"');
+  });
+});
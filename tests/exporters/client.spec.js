@@ -0,0 +1,265 @@
+'use strict';
+
+var Module = require('module');
+var expect = require('chai').expect;
+
+var clientExporter = require('../../exporters/client');
+var helper = require('../../helper');
+
+/**
+ * Load the generated CommonJS source as a module
+ */
+function load(source) {
+  var mod = new Module('routes.js');
+  mod._compile(source, 'routes.js');
+  return mod.exports;
+}
+
+describe('router/exporters/client.js', function () {
+  var registry;
+
+  before('initialize router & build route table', function () {
+    registry = require('../../index').createRegistry();
+    var router = registry({});
+
+    router.addMapping('foo', '/foo');
+    router.addMapping('foo.detail', '/foo/:input');
+    router.addMapping('foo.list-category.detail', '/foo/category/:category/:slug');
+    router.addMapping('weird.doubled.input', '/foo/:input/bun/:input');
+    router.addMapping('flights.fromto', '/flights/:from-:to');
+    router.addMapping('flights.number', '/flights/num-:number(\\d+)');
+    router.addMapping('files', '/files/:path*');
+    router.addMapping('page', '/page/:page?');
+    router.addMapping('all', '/all/*');
+    router.addMapping('article.detail', '/articles/:title', {aliases: ['article.post']});
+    router.addMapping('card.detail', '/kartu-kredit/:slug', {locales: {en: '/credit-cards/:slug'}});
+    router.addMapping('admin.dashboard', '/admin');
+    router.addMapping('administrator', '/administrator');
+    router.addMapping('api.user', '/users/:id', {host: 'api'});
+    router.addMapping('legacy.article', /^\/artikel-(\d+)$/);
+    router.buildRouteTable();
+  });
+
+  describe('.generate()', function () {
+    context('when generating commonjs module', function () {
+      var client;
+
+      before('load generated module', function () {
+        client = load(registry.exportClient());
+      });
+
+      it('should contain the route table', function () {
+        expect(client.getRouteTable()).to.deep.equal(registry.getRouteTable());
+      });
+
+      it('should generate the same url as the server', function () {
+        var cases = [
+          ['foo'],
+          ['foo', {}, {}],
+          ['foo', {}, {bar: 'baz', 'fuu-uu': 'rage'}],
+          ['foo', {}, {list: [1, 2, 3], empty: [], flag: true, nothing: null, nan: NaN, obj: {a: 1}}],
+          ['foo', {}, {'sp ace': 'a&b=c', unicode: 'kartu kredit ✓'}],
+          ['foo.detail', {input: 'bar'}],
+          ['foo.detail', {input: 'a b/c?d'}],
+          ['foo.detail', {input: 0}],
+          ['foo.list-category.detail', {category: 'orc', slug: 'blade-master'}, {class: 'magi'}],
+          ['weird.doubled.input', {input: 'twin'}],
+          ['flights.fromto', {from: 'CGK', to: 'DPS'}],
+          ['flights.number', {number: 30}],
+          ['files', {path: ['a', 'b', 'c']}],
+          ['files', {}],
+          ['page', {}],
+          ['page', {page: 2}],
+          ['all', {0: 'any/thing?x'}],
+          ['article.post', {title: 'cool-guy'}],
+          ['card.detail', {slug: 'my-card'}],
+          ['card.detail', {slug: 'my-card'}, {ref: 'home'}, {locale: 'en'}],
+          ['card.detail', {slug: 'my-card'}, null, {locale: 'id'}],
+          ['foo.detail', {input: 'bar'}, null, {locale: 'en'}],
+          ['foo.detail', {input: 'bar'}, {page: 2}, {hash: 'comments'}],
+          ['foo', {}, null, {hash: '#komentar baru#1 ✓'}],
+          ['foo', {}, null, {hash: ''}]
+        ];
+
+        cases.forEach(function (args) {
+          expect(client.urlFor.apply(null, args)).to.equal(registry.urlFor.apply(null, args));
+        });
+      });
+
+      it('should serialize queries the same way as the server', function () {
+        var queries = {filter: {price: {min: 1, max: null}}, tag: ['a', 'b c'], page: null, sort: 'asc'};
+        var cases = [
+          {nested: true},
+          {nested: true, arrayFormat: 'brackets', skipNulls: true, sort: true},
+          {arrayFormat: 'indices'},
+          {arrayFormat: 'comma', skipNulls: true}
+        ];
+
+        cases.forEach(function (options) {
+          var args = ['foo', {}, queries, {query: options}];
+          expect(client.urlFor.apply(null, args)).to.equal(registry.urlFor.apply(null, args));
+        });
+      });
+
+      it('should throw the same errors as the server', function () {
+        var cases = [
+          ['nope'],
+          ['foo.detial', {input: 'bar'}],
+          ['foo.detail', {}],
+          ['foo.detail', {input: ''}],
+          ['foo.detail', {input: null}],
+          ['foo.detail', {input: ['a', 'b']}],
+          ['flights.number', {number: 'test'}],
+          ['files', {path: ['a', 'b/c', '']}],
+          ['card.detail', {}, null, {locale: 'en'}],
+          ['legacy.article', {0: '1'}]
+        ];
+
+        cases.forEach(function (args) {
+          var serverError;
+          try {
+            registry.urlFor.apply(null, args);
+          } catch (err) {
+            serverError = err;
+          }
+
+          var clientError;
+          try {
+            client.urlFor.apply(null, args);
+          } catch (err) {
+            clientError = err;
+          }
+
+          expect(clientError).to.be.an.instanceof(client.errors[serverError.name]);
+          expect(clientError).to.be.an.instanceof(client.errors.UrlForError);
+          expect(clientError).to.be.an.instanceof(Error);
+          expect(clientError.name).to.equal(serverError.name);
+          expect(clientError.message).to.equal(serverError.message);
+          expect(helper.toPlainObject(clientError)).to.deep.equal(helper.toPlainObject(serverError));
+        });
+      });
+
+      it('should generate absolute url', function () {
+        expect(function () {
+          client.absoluteUrlFor('foo');
+        }).to.throw('Please set baseUrl with .setBaseUrl before!');
+
+        client.setBaseUrl('https://www.cermati.com');
+        expect(client.absoluteUrlFor('foo.detail', {input: 'bar'}, {a: 1})).to.equal('https://www.cermati.com/foo/bar?a=1');
+      });
+
+      it('should join base url with path prefix', function () {
+        client.setBaseUrl('https://www.cermati.com/app/');
+        expect(client.absoluteUrlFor('foo.detail', {input: 'bar'})).to.equal('https://www.cermati.com/app/foo/bar');
+
+        var result = client.urlFor('foo.detail', {input: 'bar'}, {a: 1}, {hash: 'top', object: true});
+        expect(result).to.be.an.instanceof(URL);
+        expect(result.href).to.equal('https://www.cermati.com/app/foo/bar?a=1#top');
+      });
+    });
+
+    context('when given hosts', function () {
+      it('should resolve routes bound to host the same way as the server', function () {
+        var hosts = {api: 'https://api.cermati.com/v1/'};
+        var client = load(registry.exportClient({baseUrl: 'https://www.cermati.com', hosts: hosts}));
+        registry.setBaseUrl('https://www.cermati.com');
+        registry.setHosts(hosts);
+
+        var cases = [
+          ['api.user', {id: 1}],
+          ['api.user', {id: 1}, {a: 1}, {host: null}],
+          ['foo', {}, null, {host: 'api', hash: 'x'}],
+          ['foo', {}, {}, {hash: 'x'}]
+        ];
+        cases.forEach(function (args) {
+          expect(client.absoluteUrlFor.apply(null, args)).to.equal(registry.absoluteUrlFor.apply(null, args));
+        });
+
+        expect(function () {
+          client.absoluteUrlFor('foo', {}, null, {host: 'admin'});
+        }).to.throw('Unknown host: admin, please set it with .setHosts before!');
+
+        client.setHosts({api: 'https://api.staging.cermati.com'});
+        expect(client.absoluteUrlFor('api.user', {id: 1})).to.equal('https://api.staging.cermati.com/users/1');
+      });
+    });
+
+    context('when given base url', function () {
+      it('should use it for absolute url', function () {
+        var client = load(registry.exportClient({baseUrl: 'https://www.cermati.com'}));
+        expect(client.absoluteUrlFor('foo')).to.equal('https://www.cermati.com/foo');
+      });
+    });
+
+    context('when given query options', function () {
+      it('should serialize queries with them', function () {
+        var client = load(registry.exportClient({query: {arrayFormat: 'brackets'}}));
+        expect(client.urlFor('foo', {}, {tag: ['a', 'b']})).to.equal('/foo?tag[]=a&tag[]=b');
+
+        client.setQueryOptions({arrayFormat: 'indices'});
+        expect(client.urlFor('foo', {}, {tag: ['a', 'b']})).to.equal('/foo?tag[0]=a&tag[1]=b');
+      });
+
+      it('should default to the query options of the registry', function () {
+        var otherRegistry = require('../../index').createRegistry();
+        var otherRouter = otherRegistry({});
+        otherRouter.addMapping('foo', '/foo');
+        otherRouter.buildRouteTable();
+        otherRegistry.setQueryOptions({arrayFormat: 'comma'});
+
+        var client = load(otherRegistry.exportClient());
+        expect(client.urlFor('foo', {}, {tag: ['a', 'b']})).to.equal('/foo?tag=a,b');
+      });
+    });
+
+    context('when given prefix', function () {
+      it('should only include the routes under the prefix', function () {
+        var client = load(registry.exportClient({prefix: 'admin'}));
+        expect(client.getRouteTable()).to.deep.equal({'admin.dashboard': '/admin'});
+
+        client = load(registry.exportClient({prefix: ['foo', 'article']}));
+        expect(Object.keys(client.getRouteTable())).to.deep.equal([
+          'foo',
+          'foo.detail',
+          'foo.list-category.detail',
+          'article.detail',
+          'article.post'
+        ]);
+      });
+    });
+
+    context('when generating es module', function () {
+      var source;
+
+      before('generate source', function () {
+        source = registry.exportClient({format: 'esm'});
+      });
+
+      it('should export the functions', function () {
+        expect(source).to.contain('export var urlFor = client.urlFor;');
+        expect(source).to.contain('export var absoluteUrlFor = client.absoluteUrlFor;');
+        expect(source).to.contain('export var setBaseUrl = client.setBaseUrl;');
+        expect(source).to.contain('export var getRouteTable = client.getRouteTable;');
+        expect(source).to.contain('export default client;');
+        expect(source).to.not.contain('module.exports');
+      });
+
+      it('should contain the same client as commonjs module', function () {
+        var commonjsSource = registry.exportClient();
+        var body = function (str) {
+          return str.substring(str.indexOf('var createClient'), str.indexOf('var client ='));
+        };
+
+        expect(body(source)).to.equal(body(commonjsSource));
+      });
+    });
+
+    context('when given unknown format', function () {
+      it('should throw error', function () {
+        expect(function () {
+          clientExporter.generate({}, {format: 'amd'});
+        }).to.throw('Unknown client bundle format: amd');
+      });
+    });
+  });
+});
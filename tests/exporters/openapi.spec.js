@@ -0,0 +1,182 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var openApiExporter = require('../../exporters/openapi');
+
+describe('router/exporters/openapi.js', function () {
+  var noop = function () {};
+  var registry;
+
+  before('initialize router & build route table', function () {
+    registry = require('../../index').createRegistry();
+    var router = registry({get: noop, post: noop, put: noop, all: noop, use: noop});
+
+    router.get('user.list', '/users', {meta: {summary: 'List users', tags: ['user']}}, noop);
+    router.get('user.edit', '/users/:id(\\d+)/edit', {
+      meta: {
+        description: 'Edit form: "yes"',
+        openapi: {
+          responses: {'200': {description: 'OK'}},
+          post: {requestBody: {content: {'application/json': {schema: {type: 'object'}}}}}
+        }
+      }
+    }, noop);
+    router.post('user.edit', '/users/:id(\\d+)/edit', noop);
+    router.put('file', '/files/:path*', {deprecated: true, aliases: ['document']}, noop);
+    router.get('flights.fromto', '/flights/:from-:to', noop);
+    router.all('everything', '/everything', noop);
+    router.addMapping('mapped', '/mapped');
+    router.buildRouteTable();
+  });
+
+  describe('.toOpenApiPath()', function () {
+    it('should convert params to path parameters', function () {
+      expect(openApiExporter.toOpenApiPath('/articles')).to.deep.equal({path: '/articles', parameters: []});
+      expect(openApiExporter.toOpenApiPath('/flights/:from-:to')).to.deep.equal({
+        path: '/flights/{from}-{to}',
+        parameters: [
+          {name: 'from', in: 'path', required: true, schema: {type: 'string'}},
+          {name: 'to', in: 'path', required: true, schema: {type: 'string'}}
+        ]
+      });
+    });
+
+    it('should keep custom param pattern', function () {
+      expect(openApiExporter.toOpenApiPath('/flights/num-:number(\\d+)')).to.deep.equal({
+        path: '/flights/num-{number}',
+        parameters: [
+          {name: 'number', in: 'path', required: true, schema: {type: 'string', pattern: '^(?:\\d+)$'}}
+        ]
+      });
+    });
+
+    it('should list doubled params once', function () {
+      expect(openApiExporter.toOpenApiPath('/foo/:input/bun/:input').parameters).to.have.length(1);
+    });
+  });
+
+  describe('.generateDocument()', function () {
+    var document;
+
+    before('generate document', function () {
+      document = openApiExporter.generateDocument(registry.getRouteTable({detailed: true}));
+    });
+
+    it('should default the info', function () {
+      expect(document.openapi).to.equal('3.0.3');
+      expect(document.info).to.deep.equal({title: 'API', version: '1.0.0'});
+    });
+
+    it('should only contain routes with HTTP methods', function () {
+      expect(Object.keys(document.paths)).to.deep.equal(['/users', '/users/{id}/edit', '/files/{path}', '/flights/{from}-{to}']);
+    });
+
+    it('should use route name as operationId', function () {
+      expect(document.paths['/users'].get.operationId).to.equal('user.list');
+      expect(document.paths['/users/{id}/edit'].get.operationId).to.equal('user.edit.get');
+      expect(document.paths['/users/{id}/edit'].post.operationId).to.equal('user.edit.post');
+    });
+
+    it('should copy summary, description, and tags of the meta', function () {
+      expect(document.paths['/users'].get).to.deep.equal({
+        operationId: 'user.list',
+        summary: 'List users',
+        tags: ['user'],
+        responses: {default: {description: 'Default response'}}
+      });
+      expect(document.paths['/users/{id}/edit'].post.description).to.equal('Edit form: "yes"');
+    });
+
+    it('should merge the openapi meta, including fields for the method', function () {
+      var get = document.paths['/users/{id}/edit'].get;
+      var post = document.paths['/users/{id}/edit'].post;
+
+      expect(get.responses).to.deep.equal({'200': {description: 'OK'}});
+      expect(get).to.not.have.property('requestBody');
+      expect(post.responses).to.deep.equal({'200': {description: 'OK'}});
+      expect(post.requestBody).to.deep.equal({content: {'application/json': {schema: {type: 'object'}}}});
+      expect(post.parameters).to.deep.equal([
+        {name: 'id', in: 'path', required: true, schema: {type: 'string', pattern: '^(?:\\d+)$'}}
+      ]);
+    });
+
+    it('should mark deprecated routes', function () {
+      expect(document.paths['/files/{path}'].put.deprecated).to.equal(true);
+      expect(document.paths['/users'].get).to.not.have.property('deprecated');
+    });
+
+    it('should include routes under the prefix only', function () {
+      var filtered = openApiExporter.generateDocument(registry.getRouteTable({detailed: true}), {
+        prefix: 'user',
+        info: {title: 'User API', version: '2.0.0'},
+        servers: [{url: 'https://example.com'}]
+      });
+
+      expect(Object.keys(filtered.paths)).to.deep.equal(['/users', '/users/{id}/edit']);
+      expect(filtered.info).to.deep.equal({title: 'User API', version: '2.0.0'});
+      expect(filtered.servers).to.deep.equal([{url: 'https://example.com'}]);
+    });
+  });
+
+  describe('.stringify()', function () {
+    it('should write JSON by default', function () {
+      var document = openApiExporter.generateDocument(registry.getRouteTable({detailed: true}));
+
+      expect(JSON.parse(registry.exportOpenApi())).to.deep.equal(document);
+    });
+
+    it('should write YAML', function () {
+      var yaml = openApiExporter.stringify({
+        openapi: '3.0.3',
+        info: {title: 'API', version: '1.0.0'},
+        paths: {
+          '/users/{id}': {
+            get: {
+              operationId: 'user.detail',
+              description: 'Say "hi": yes',
+              tags: ['user', 'true'],
+              parameters: [{name: 'id', in: 'path', required: true, schema: {type: 'string'}}],
+              responses: {'200': {description: 'OK'}},
+              security: []
+            }
+          }
+        },
+        components: {}
+      }, 'yaml');
+
+      expect(yaml).to.equal([
+        'openapi: "3.0.3"',
+        'info:',
+        '  title: API',
+        '  version: "1.0.0"',
+        'paths:',
+        '  "/users/{id}":',
+        '    get:',
+        '      operationId: user.detail',
+        '      description: "Say \\"hi\\": yes"',
+        '      tags:',
+        '        - user',
+        '        - "true"',
+        '      parameters:',
+        '        - name: id',
+        '          in: path',
+        '          required: true',
+        '          schema:',
+        '            type: string',
+        '      responses:',
+        '        "200":',
+        '          description: OK',
+        '      security: []',
+        'components: {}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should throw error on unknown format', function () {
+      expect(function () {
+        openApiExporter.stringify({}, 'xml');
+      }).to.throw('Unknown OpenAPI document format: xml');
+    });
+  });
+});
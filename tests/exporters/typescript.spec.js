@@ -0,0 +1,159 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var typescriptExporter = require('../../exporters/typescript');
+
+describe('router/exporters/typescript.js', function () {
+  describe('.parseParams()', function () {
+    it('should return empty array for pattern without params', function () {
+      expect(typescriptExporter.parseParams('/')).to.deep.equal([]);
+      expect(typescriptExporter.parseParams('/articles')).to.deep.equal([]);
+    });
+
+    it('should return required params', function () {
+      expect(typescriptExporter.parseParams('/articles/:title')).to.deep.equal([
+        {name: 'title', optional: false, repeat: false}
+      ]);
+      expect(typescriptExporter.parseParams('/flights/:from-:to')).to.deep.equal([
+        {name: 'from', optional: false, repeat: false},
+        {name: 'to', optional: false, repeat: false}
+      ]);
+      expect(typescriptExporter.parseParams('/flights/num-:number(\\d+)')).to.deep.equal([
+        {name: 'number', optional: false, repeat: false}
+      ]);
+    });
+
+    it('should return optional and repeated params', function () {
+      expect(typescriptExporter.parseParams('/page/:page?')).to.deep.equal([
+        {name: 'page', optional: true, repeat: false}
+      ]);
+      expect(typescriptExporter.parseParams('/files/:path*')).to.deep.equal([
+        {name: 'path', optional: true, repeat: true}
+      ]);
+      expect(typescriptExporter.parseParams('/tags/:tag+')).to.deep.equal([
+        {name: 'tag', optional: false, repeat: true}
+      ]);
+    });
+
+    it('should name unnamed params by their index', function () {
+      expect(typescriptExporter.parseParams('/all/*')).to.deep.equal([
+        {name: '0', optional: false, repeat: false}
+      ]);
+    });
+
+    it('should return doubled params once', function () {
+      expect(typescriptExporter.parseParams('/foo/:input/bun/:input')).to.deep.equal([
+        {name: 'input', optional: false, repeat: false}
+      ]);
+    });
+  });
+
+  describe('.generate()', function () {
+    var routeTable = {
+      'home': {pattern: '/', methods: ['get'], meta: {}},
+      'article.detail': {
+        pattern: '/articles/:title',
+        methods: ['get', 'post'],
+        meta: {},
+        deprecated: {message: 'Use article.show instead'}
+      },
+      'file': {pattern: '/files/:path*', methods: [], meta: {}}
+    };
+
+    context('when declaring route-label module', function () {
+      var source;
+
+      before('generate declaration', function () {
+        source = typescriptExporter.generate(routeTable);
+      });
+
+      it('should declare the module', function () {
+        expect(source).to.contain('declare module "route-label" {');
+        expect(source).to.contain('  const routeLabel: routeLabel;\n  export = routeLabel;\n}');
+      });
+
+      it('should declare route names', function () {
+        expect(source).to.contain('export type RouteName = "home" | "article.detail" | "file";');
+        expect(source).to.contain('export type RouteNameWithoutRequiredParams = "home" | "file";');
+      });
+
+      it('should declare params of each route', function () {
+        expect(source).to.contain([
+          '    export interface RouteParams {',
+          '      /**',
+          '       * GET /',
+          '       */',
+          '      "home": {};',
+          '      /**',
+          '       * GET, POST /articles/:title',
+          '       * @deprecated Use article.show instead',
+          '       */',
+          '      "article.detail": { "title": string | number };',
+          '      /**',
+          '       * ANY /files/:path*',
+          '       */',
+          '      "file": { "path"?: string | number | Array<string | number> };',
+          '    }'
+        ].join('\n'));
+      });
+
+      it('should declare urlFor using the types', function () {
+        expect(source).to.contain(
+          '    urlFor<N extends routeLabel.RouteName>(routeName: N, params: routeLabel.RouteParams[N], queries?: routeLabel.Queries, options?: routeLabel.UrlOptions): string;'
+        );
+      });
+    });
+
+    context('when given module name', function () {
+      it('should declare the module with that name', function () {
+        expect(typescriptExporter.generate(routeTable, {moduleName: 'app-routes'})).to.contain('declare module "app-routes" {');
+      });
+    });
+
+    context('when given null module name', function () {
+      var source;
+
+      before('generate declaration', function () {
+        source = typescriptExporter.generate(routeTable, {moduleName: null});
+      });
+
+      it('should declare types and functions at top level', function () {
+        expect(source).to.not.contain('declare module');
+        expect(source).to.contain('\nexport type RouteName = "home" | "article.detail" | "file";');
+        expect(source).to.contain(
+          '\nexport declare function urlFor<N extends RouteNameWithoutRequiredParams>(routeName: N, params?: RouteParams[N], queries?: Queries, options?: UrlOptions): string;'
+        );
+        expect(source).to.contain('\nexport declare function getRouteTable(): { [N in RouteName]: string };');
+      });
+    });
+
+    context('when pattern or deprecation message contains end of comment', function () {
+      it('should escape it in the doc comment', function () {
+        var source = typescriptExporter.generate({
+          'file.download': {
+            pattern: '/files/*/download',
+            methods: ['get'],
+            meta: {},
+            deprecated: {message: 'Use /files/*/get */ instead\nor file.get'}
+          }
+        }, {moduleName: null});
+
+        expect(source).to.contain([
+          '  /**',
+          '   * GET /files/*\\/download',
+          '   * @deprecated Use /files/*\\/get *\\/ instead',
+          '   * or file.get',
+          '   */',
+          '  "file.download": { "0": string | number };'
+        ].join('\n'));
+      });
+    });
+
+    context('when route table is empty', function () {
+      it('should declare never', function () {
+        expect(typescriptExporter.generate({})).to.contain('export type RouteName = never;');
+      });
+    });
+  });
+});
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Sample app for testing the command line tool
+ */
+
+var express = require('express');
+
+var app = express();
+var router = require('../../index').createRegistry()(app);
+
+var noop = function (req, res) {};
+
+router.get('article.list', '/articles', noop);
+router.get('article.detail', '/articles/:title', noop);
+router.post('article.save', '/articles/:title/save', noop);
+router.get('file', '/files/:path*', noop);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Sample app exporting the express app itself for testing the command line tool
+ */
+
+var express = require('express');
+
+var app = express();
+var articleApp = express.Router();
+var router = require('../../index')(app);
+var articleRouter = require('../../index')(articleApp);
+
+var noop = function (req, res) {};
+
+articleRouter.get('list', '/', noop);
+articleRouter.get('detail', '/:title', noop);
+router.use('article', '/articles', articleApp);
+
+module.exports = app;
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Sample app with aliases, legacy URLs, and deprecated routes for testing the command line tool
+ */
+
+var express = require('express');
+
+var app = express();
+var router = require('../../index').createRegistry()(app);
+
+var noop = function (req, res) {};
+
+router.get('card.detail', '/cards/:slug', {aliases: ['card.show']}, noop);
+router.addMapping('card.old', '/kartu/:slug', {redirectTo: 'card.detail'});
+router.get('card.list', '/cards', {deprecated: true}, noop);
+router.addMapping('search', '/search, cari');
+
+module.exports = router;
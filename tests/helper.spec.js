@@ -42,6 +42,21 @@ describe('router/helper.js', function () {
     });
   });
 
+  describe('.isPath()', function () {
+    it('should accept string, RegExp, and array of them', function () {
+      expect(routeHelper.isPath('/articles')).to.equal(true);
+      expect(routeHelper.isPath(/^\/articles/)).to.equal(true);
+      expect(routeHelper.isPath(['/articles', /^\/artikel/])).to.equal(true);
+    });
+
+    it('should reject middleware, options, and empty array', function () {
+      expect(routeHelper.isPath(function () {})).to.equal(false);
+      expect(routeHelper.isPath([function () {}])).to.equal(false);
+      expect(routeHelper.isPath({meta: {}})).to.equal(false);
+      expect(routeHelper.isPath([])).to.equal(false);
+    });
+  });
+
   describe('.toToken()', function () {
     context('when given non input field', function () {
       it('should return just text', function () {
@@ -87,6 +102,14 @@ describe('router/helper.js', function () {
         expect(routeHelper.buildPath(['/ham', '/', '/bur', '/', '/ger'])).to.equal('/ham/bur/ger');
       });
     });
+
+    context('when given RegExp path', function () {
+      it('should separate the RegExp from the joined paths', function () {
+        expect(routeHelper.buildPath(['/', /^\/old-(\d+)$/])).to.equal('/^\\/old-(\\d+)$/');
+        expect(routeHelper.buildPath(['/sub', '/', '/deep', /^\/x$/])).to.equal('/sub/deep + /^\\/x$/');
+        expect(routeHelper.buildPath([/^\/old/, '/:id', '/'])).to.equal('/^\\/old/ + /:id');
+      });
+    });
   });
 
   describe('.buildName()', function () {
@@ -118,6 +141,33 @@ describe('router/helper.js', function () {
     });
   });
 
+  describe('.buildSiblingName()', function () {
+    it('should replace the last name', function () {
+      expect(routeHelper.buildSiblingName(['detail'], 'show')).to.equal('show');
+      expect(routeHelper.buildSiblingName(['creditCard', 'detail'], 'show')).to.equal('creditCard.show');
+      expect(routeHelper.buildSiblingName(['', 'detail'], 'show')).to.equal('show');
+      expect(routeHelper.buildSiblingName(['a', 'b.c', 'detail'], 'show')).to.equal('a.b.c.show');
+    });
+  });
+
+  describe('.hasNamePrefix()', function () {
+    it('should include the prefix and its children', function () {
+      expect(routeHelper.hasNamePrefix('article', ['article'])).to.be.true;
+      expect(routeHelper.hasNamePrefix('article.list', ['article'])).to.be.true;
+      expect(routeHelper.hasNamePrefix('article.comment.list', ['article.comment'])).to.be.true;
+      expect(routeHelper.hasNamePrefix('user.list', ['article', 'user'])).to.be.true;
+    });
+
+    it('should exclude other names', function () {
+      expect(routeHelper.hasNamePrefix('articles.list', ['article'])).to.be.false;
+      expect(routeHelper.hasNamePrefix('admin.article', ['article'])).to.be.false;
+    });
+
+    it('should include every name when there is no prefix', function () {
+      expect(routeHelper.hasNamePrefix('admin.article', [])).to.be.true;
+    });
+  });
+
   describe('.tokensToString()', function () {
     context('when given tokens', function () {
       it('should return readable pattern', function () {
@@ -138,6 +188,576 @@ describe('router/helper.js', function () {
     });
   });
 
+  describe('.register()', function () {
+    var routeTable;
+
+    beforeEach('initialize route table', function () {
+      routeTable = {};
+      routeHelper.register(routeTable, ['user', 'edit'], ['/users', '/:id/edit'], 'get');
+    });
+
+    it('should record pattern and methods', function () {
+      expect(routeTable['user.edit'].pattern).to.equal('/users/:id/edit');
+      expect(routeTable['user.edit'].methods).to.deep.equal(['get']);
+    });
+
+    it('should merge methods of the same name and pattern', function () {
+      routeHelper.register(routeTable, ['user', 'edit'], ['/users', '/:id/edit'], 'post');
+      routeHelper.register(routeTable, ['user', 'edit'], ['/users', '/:id/edit'], 'post');
+      routeHelper.register(routeTable, ['user', 'edit'], ['/users', '/:id/edit'], null);
+
+      expect(routeTable['user.edit'].methods).to.deep.equal(['get', 'post']);
+    });
+
+    it('should merge own meta over the meta of parents', function () {
+      routeHelper.register(routeTable, ['user', 'detail'], ['/users', '/:id'], 'get', [
+        {owner: 'growth', auth: 'login'},
+        {auth: 'owner'}
+      ]);
+      routeHelper.register(routeTable, ['user', 'detail'], ['/users', '/:id'], 'post', [
+        {owner: 'growth', auth: 'login'},
+        {description: 'User profile'}
+      ]);
+
+      expect(routeTable['user.detail'].meta).to.deep.equal({
+        owner: 'growth',
+        auth: 'owner',
+        description: 'User profile'
+      });
+      expect(routeTable['user.edit'].meta).to.deep.equal({});
+    });
+
+    it('should throw error for the same name with different pattern', function () {
+      expect(function () {
+        routeHelper.register(routeTable, ['user', 'edit'], ['/users', '/:id/update'], 'post');
+      }).to.throw('There are duplicates in route name: user.edit');
+    });
+
+    it('should throw error for the same method and pattern with different name', function () {
+      expect(function () {
+        routeHelper.register(routeTable, ['user', 'form'], ['/users', '/:id/edit'], 'get');
+      }).to.throw('There are conflicting routes for get /users/:id/edit: user.edit and user.form');
+    });
+
+    it('should allow different method with the same pattern and different name', function () {
+      routeHelper.register(routeTable, ['user', 'update'], ['/users', '/:id/edit'], 'post');
+      routeHelper.register(routeTable, ['user', 'mapping'], ['/users', '/:id/edit'], null);
+
+      expect(routeTable['user.update'].methods).to.deep.equal(['post']);
+      expect(routeTable['user.mapping'].methods).to.deep.equal([]);
+    });
+  });
+
+  describe('.registerAlias()', function () {
+    var routeTable;
+
+    beforeEach('initialize route table', function () {
+      routeTable = {};
+      routeHelper.register(routeTable, ['card', 'detail'], ['/credit-cards/:slug'], 'get');
+    });
+
+    it('should register alias', function () {
+      routeHelper.registerAlias(routeTable, 'card.show', 'card.detail', '/credit-cards/:slug', false);
+      routeHelper.registerAlias(routeTable, 'card.legacy', 'card.detail', '/kartu-kredit/:slug', true);
+
+      expect(routeTable['card.show'].aliasOf).to.equal('card.detail');
+      expect(routeTable['card.show'].legacy).to.be.false;
+      expect(routeTable['card.legacy'].aliasOf).to.equal('card.detail');
+      expect(routeTable['card.legacy'].legacy).to.be.true;
+      expect(routeTable['card.legacy'].regexp.test('/kartu-kredit/my-card')).to.be.true;
+    });
+
+    it('should throw error when the name is taken', function () {
+      expect(function () {
+        routeHelper.registerAlias(routeTable, 'card.detail', 'card.detail', '/credit-cards/:slug', false);
+      }).to.throw('There are duplicates in route name: card.detail');
+    });
+
+    it('should not let route take over alias', function () {
+      routeHelper.registerAlias(routeTable, 'card.show', 'card.detail', '/credit-cards/:slug', false);
+
+      expect(function () {
+        routeHelper.register(routeTable, ['card', 'show'], ['/credit-cards/:slug'], 'get');
+      }).to.throw('There are duplicates in route name: card.show');
+    });
+  });
+
+  describe('.buildHost()', function () {
+    it('should return the nearest host', function () {
+      expect(routeHelper.buildHost(['admin', undefined])).to.equal('admin');
+      expect(routeHelper.buildHost(['admin', 'api'])).to.equal('api');
+      expect(routeHelper.buildHost([undefined, undefined])).to.equal(undefined);
+      expect(routeHelper.buildHost([])).to.equal(undefined);
+    });
+  });
+
+  describe('.buildDeprecation()', function () {
+    it('should build default message', function () {
+      expect(routeHelper.buildDeprecation(true, ['card', 'detail'])).to.deep.equal({
+        message: 'Route card.detail is deprecated'
+      });
+    });
+
+    it('should use given message', function () {
+      expect(routeHelper.buildDeprecation('Going away', ['card', 'detail'])).to.deep.equal({
+        message: 'Going away'
+      });
+      expect(routeHelper.buildDeprecation({message: 'Going away', replacement: 'show'}, ['card', 'detail'])).to.deep.equal({
+        message: 'Going away',
+        replacement: 'card.show'
+      });
+    });
+
+    it('should prefix replacement name and mention it in default message', function () {
+      expect(routeHelper.buildDeprecation({replacement: 'show'}, ['card', 'detail'])).to.deep.equal({
+        message: 'Route card.detail is deprecated, use card.show instead',
+        replacement: 'card.show'
+      });
+    });
+  });
+
+  describe('.validateAliases()', function () {
+    it('should accept alias to existing route', function () {
+      expect(function () {
+        routeHelper.validateAliases({
+          'card.detail': {pattern: '/credit-cards/:slug'},
+          'card.show': {pattern: '/credit-cards/:slug', aliasOf: 'card.detail'}
+        });
+      }).to.not.throw(Error);
+    });
+
+    it('should throw error for alias to undefined route or another alias', function () {
+      expect(function () {
+        routeHelper.validateAliases({
+          'card.show': {pattern: '/credit-cards/:slug', aliasOf: 'card.detail'}
+        });
+      }).to.throw('Alias card.show refers to undefined route name: card.detail');
+
+      expect(function () {
+        routeHelper.validateAliases({
+          'card.detail': {pattern: '/credit-cards/:slug'},
+          'card.show': {pattern: '/credit-cards/:slug', aliasOf: 'card.detail'},
+          'card.view': {pattern: '/credit-cards/:slug', aliasOf: 'card.show'}
+        });
+      }).to.throw('Alias card.view refers to undefined route name: card.show');
+    });
+
+    it('should throw error for legacy pattern missing required param of the route', function () {
+      var routeTable = {};
+      routeHelper.register(routeTable, ['legacy'], ['/x/:id'], 'get');
+      routeHelper.registerAlias(routeTable, 'legacy-old', 'legacy', '/y/:slug', true);
+
+      expect(function () {
+        routeHelper.validateAliases(routeTable);
+      }).to.throw('Legacy pattern /y/:slug of legacy-old does not have param "id" of route legacy (/x/:id)');
+    });
+
+    it('should accept legacy pattern having the required params of the route', function () {
+      var routeTable = {};
+      routeHelper.register(routeTable, ['legacy'], ['/x/:id/:page?'], 'get');
+      routeHelper.registerAlias(routeTable, 'legacy-old', 'legacy', '/y/:id', true);
+
+      expect(function () {
+        routeHelper.validateAliases(routeTable);
+      }).to.not.throw(Error);
+    });
+  });
+
+  describe('.findMissingKey()', function () {
+    it('should return the first required key which is missing', function () {
+      var targetKeys = [{name: 'id', optional: false}, {name: 0, optional: false}, {name: 'page', optional: true}];
+      expect(routeHelper.findMissingKey([{name: 'slug'}], targetKeys)).to.equal('id');
+      expect(routeHelper.findMissingKey([{name: 'id'}], targetKeys)).to.equal('0');
+      expect(routeHelper.findMissingKey([{name: 'id'}, {name: 0}], targetKeys)).to.equal(undefined);
+    });
+  });
+
+  describe('.findConflict()', function () {
+    var routeTable = {
+      'user.edit': {pattern: '/users/:id/edit', methods: ['get', 'post']},
+      'user.mapping': {pattern: '/users/:id', methods: []}
+    };
+
+    it('should return the name registered with the same method and pattern', function () {
+      expect(routeHelper.findConflict(routeTable, 'user.form', '/users/:id/edit', 'post')).to.equal('user.edit');
+    });
+
+    it('should return undefined when there is no conflict', function () {
+      expect(routeHelper.findConflict(routeTable, 'user.edit', '/users/:id/edit', 'post')).to.be.undefined;
+      expect(routeHelper.findConflict(routeTable, 'user.form', '/users/:id/edit', 'put')).to.be.undefined;
+      expect(routeHelper.findConflict(routeTable, 'user.form', '/users/:id/edit', null)).to.be.undefined;
+      expect(routeHelper.findConflict(routeTable, 'user.detail', '/users/:id', 'get')).to.be.undefined;
+    });
+  });
+
+  describe('.isMethodAllowed()', function () {
+    context('when route has specific methods', function () {
+      it('should allow only those methods', function () {
+        expect(routeHelper.isMethodAllowed(['get'], 'get')).to.be.true;
+        expect(routeHelper.isMethodAllowed(['get'], 'GET')).to.be.true;
+        expect(routeHelper.isMethodAllowed(['get', 'post'], 'POST')).to.be.true;
+        expect(routeHelper.isMethodAllowed(['get'], 'post')).to.be.false;
+        expect(routeHelper.isMethodAllowed(['put'], 'delete')).to.be.false;
+      });
+
+      it('should allow HEAD for GET routes', function () {
+        expect(routeHelper.isMethodAllowed(['get'], 'HEAD')).to.be.true;
+        expect(routeHelper.isMethodAllowed(['post'], 'HEAD')).to.be.false;
+      });
+    });
+
+    context('when route accepts any method', function () {
+      it('should allow any method', function () {
+        expect(routeHelper.isMethodAllowed([], 'patch')).to.be.true;
+        expect(routeHelper.isMethodAllowed(['all'], 'patch')).to.be.true;
+        expect(routeHelper.isMethodAllowed(['use'], 'patch')).to.be.true;
+      });
+    });
+
+    context('when method is not given', function () {
+      it('should allow it', function () {
+        expect(routeHelper.isMethodAllowed(['post'])).to.be.true;
+      });
+    });
+  });
+
+  describe('.extractParams()', function () {
+    it('should map matches to key names', function () {
+      expect(routeHelper.extractParams([], ['/foo'])).to.deep.equal({});
+      expect(routeHelper.extractParams(
+        [{name: 'from'}, {name: 'to'}],
+        ['/flights/CGK-DPS', 'CGK', 'DPS']
+      )).to.deep.equal({from: 'CGK', to: 'DPS'});
+    });
+
+    it('should skip unmatched optional params', function () {
+      expect(routeHelper.extractParams([{name: 'page'}], ['/foo', undefined])).to.deep.equal({});
+    });
+
+    it('should decode params', function () {
+      expect(routeHelper.extractParams([{name: 'title'}], ['/foo/cool%20guy', 'cool%20guy'])).to.deep.equal({
+        title: 'cool guy'
+      });
+      expect(routeHelper.extractParams([{name: 'title'}], ['/foo/100%', '100%'])).to.deep.equal({
+        title: '100%'
+      });
+    });
+
+    it('should split repeated params', function () {
+      expect(routeHelper.extractParams(
+        [{name: 'path', repeat: true, delimiter: '/'}],
+        ['/files/a/b%20c', 'a/b%20c']
+      )).to.deep.equal({path: ['a', 'b c']});
+    });
+  });
+
+  describe('.buildLocalePaths()', function () {
+    it('should return empty object without locales', function () {
+      expect(routeHelper.buildLocalePaths(['/foo', '/:slug'], [undefined, undefined])).to.deep.equal({});
+    });
+
+    it('should use the default path for levels without the locale', function () {
+      expect(routeHelper.buildLocalePaths(
+        ['/kartu-kredit', '/:slug/ajukan'],
+        [{en: '/credit-cards'}, {en: '/:slug/apply', ms: '/:slug/mohon'}]
+      )).to.deep.equal({
+        en: '/credit-cards/:slug/apply',
+        ms: '/kartu-kredit/:slug/mohon'
+      });
+      expect(routeHelper.buildLocalePaths(['/', '/kartu-kredit'], [{en: '/en'}, undefined])).to.deep.equal({
+        en: '/en/kartu-kredit'
+      });
+    });
+  });
+
+  describe('.registerLocales()', function () {
+    var routeTable;
+
+    beforeEach(function () {
+      routeTable = {apply: {pattern: '/ajukan'}};
+    });
+
+    it('should register the localized patterns with their regex', function () {
+      routeHelper.registerLocales(routeTable, 'apply', {en: '/apply/:id'}, 'get');
+
+      expect(routeTable.apply.locales.en.pattern).to.equal('/apply/:id');
+      expect(routeTable.apply.locales.en.regexp.test('/apply/1')).to.equal(true);
+      expect(routeTable.apply.locales.en.keys[0].name).to.equal('id');
+    });
+
+    it('should keep the previous locales', function () {
+      routeHelper.registerLocales(routeTable, 'apply', {ms: '/mohon'}, 'post', {en: {pattern: '/apply'}});
+
+      expect(Object.keys(routeTable.apply.locales)).to.deep.equal(['en', 'ms']);
+    });
+
+    it('should not set locales for route without them', function () {
+      routeHelper.registerLocales(routeTable, 'apply', {}, 'get');
+
+      expect(routeTable.apply).to.not.have.property('locales');
+    });
+
+    it('should throw error for other pattern of the same locale', function () {
+      expect(function () {
+        routeHelper.registerLocales(routeTable, 'apply', {en: '/submit'}, 'post', {en: {pattern: '/apply'}});
+      }).to.throw('There are duplicates in route name: apply (locale en)');
+    });
+  });
+
+  describe('.compileRegExpPath()', function () {
+    it('should compile RegExp path mounted at the root', function () {
+      var keys = [];
+      var regexp = routeHelper.compileRegExpPath(['/', '', /^\/old-(\d+)$/], keys);
+
+      expect(regexp.exec('/old-12')[1]).to.equal('12');
+      expect(keys.map(function (key) {
+        return key.name;
+      })).to.deep.equal([0]);
+    });
+
+    it('should return null for RegExp path mounted under a path', function () {
+      expect(routeHelper.compileRegExpPath(['/legacy', /^\/old-(\d+)$/], [])).to.equal(null);
+      expect(routeHelper.compileRegExpPath([/^\/a/, /^\/b/], [])).to.equal(null);
+    });
+  });
+
+  describe('.buildAlternatePaths()', function () {
+    it('should build the combinations besides the first paths', function () {
+      expect(routeHelper.buildAlternatePaths([['/articles', '/artikel'], ['/:title']])).to.deep.equal(['/artikel/:title']);
+      expect(routeHelper.buildAlternatePaths([['/a', '/b'], ['/c', '/d']])).to.deep.equal(['/a/d', '/b/c', '/b/d']);
+    });
+
+    it('should leave out duplicates and combinations having RegExp', function () {
+      expect(routeHelper.buildAlternatePaths([['/', '/'], ['/a', /^\/b/]])).to.deep.equal([]);
+      expect(routeHelper.buildAlternatePaths([['/a'], ['/c']])).to.deep.equal([]);
+      expect(routeHelper.buildAlternatePaths([])).to.deep.equal([]);
+    });
+  });
+
+  describe('.registerAlternates()', function () {
+    it('should compile the alternates, keeping the ones registered before', function () {
+      var routeTable = {};
+      routeHelper.register(routeTable, ['card'], ['/cards/:slug'], 'get');
+      routeHelper.registerAlternates(routeTable, 'card', ['/kartu/:slug'], 'get');
+      routeHelper.registerAlternates(routeTable, 'card', ['/kartu/:slug', '/kad/:slug'], 'post',
+        routeTable.card.alternates);
+
+      expect(routeTable.card.alternates.map(function (alternate) {
+        return alternate.pattern;
+      })).to.deep.equal(['/kartu/:slug', '/kad/:slug']);
+      expect(routeTable.card.alternates[0].regexp.test('/kartu/my-card')).to.equal(true);
+    });
+
+    it('should not set alternates when there are none', function () {
+      var routeTable = {};
+      routeHelper.register(routeTable, ['card'], ['/cards/:slug'], 'get');
+      routeHelper.registerAlternates(routeTable, 'card', [], 'get');
+
+      expect(routeTable.card).to.not.have.property('alternates');
+    });
+  });
+
+  describe('.compilePattern()', function () {
+    it('should generate path from params', function () {
+      expect(routeHelper.compilePattern('/articles/:title')({title: 'cool guy'})).to.equal('/articles/cool%20guy');
+      expect(routeHelper.compilePattern('/files/:path*')({path: ['a', 'b']})).to.equal('/files/a/b');
+    });
+
+    it('should return the constant path for static pattern', function () {
+      var toPath = routeHelper.compilePattern('/articles');
+      expect(toPath()).to.equal('/articles');
+      expect(toPath({title: 'ignored'})).to.equal('/articles');
+    });
+
+    it('should throw the same error as path-to-regexp compile', function () {
+      expect(function () {
+        routeHelper.compilePattern('/articles/:title')({});
+      }).to.throw(TypeError, 'Expected "title" to be defined');
+    });
+  });
+
+  describe('.localizeRoute()', function () {
+    var route = {pattern: '/kartu-kredit', locales: {en: {pattern: '/credit-cards'}}};
+
+    it('should return the localized route, falling back to the route itself', function () {
+      expect(routeHelper.localizeRoute(route, 'en')).to.equal(route.locales.en);
+      expect(routeHelper.localizeRoute(route, 'id')).to.equal(route);
+      expect(routeHelper.localizeRoute(route)).to.equal(route);
+    });
+  });
+
+  describe('.localizePattern()', function () {
+    var route = {pattern: '/kartu-kredit', locales: {en: {pattern: '/credit-cards'}}};
+
+    it('should return the pattern of the locale', function () {
+      expect(routeHelper.localizePattern(route, 'en')).to.equal('/credit-cards');
+    });
+
+    it('should fall back to the default pattern', function () {
+      expect(routeHelper.localizePattern(route, 'id')).to.equal('/kartu-kredit');
+      expect(routeHelper.localizePattern(route)).to.equal('/kartu-kredit');
+      expect(routeHelper.localizePattern({pattern: '/foo'}, 'en')).to.equal('/foo');
+    });
+  });
+
+  describe('.findInvalidParam()', function () {
+    var parse = require('path-to-regexp').parse;
+
+    it('should return undefined for valid params', function () {
+      expect(routeHelper.findInvalidParam(parse('/foo'))).to.equal(undefined);
+      expect(routeHelper.findInvalidParam(parse('/foo/:input'), {input: 'bar'})).to.equal(undefined);
+      expect(routeHelper.findInvalidParam(parse('/page/:page?'), {})).to.equal(undefined);
+      expect(routeHelper.findInvalidParam(parse('/files/:path*'), {path: []})).to.equal(undefined);
+      expect(routeHelper.findInvalidParam(parse('/all/*'), {0: 'a/b'})).to.equal(undefined);
+    });
+
+    it('should find missing param', function () {
+      expect(routeHelper.findInvalidParam(parse('/foo/:input'))).to.deep.equal({name: 'input', missing: true});
+      expect(routeHelper.findInvalidParam(parse('/foo/:input'), {input: null})).to.deep.equal({
+        name: 'input',
+        missing: true
+      });
+      expect(routeHelper.findInvalidParam(parse('/tags/:tag+'), {tag: []})).to.deep.equal({name: 'tag', missing: true});
+    });
+
+    it('should find param not matching its pattern', function () {
+      expect(routeHelper.findInvalidParam(parse('/flights/num-:number(\\d+)'), {number: 'test'})).to.deep.equal({
+        name: 'number',
+        missing: false,
+        value: 'test',
+        reason: 'expected to match "\\d+"'
+      });
+      expect(routeHelper.findInvalidParam(parse('/foo/:input'), {input: ''})).to.deep.equal({
+        name: 'input',
+        missing: false,
+        value: '',
+        reason: 'expected to match "[^\\/]+?"'
+      });
+      expect(routeHelper.findInvalidParam(parse('/files/:path*'), {path: ['a', '']})).to.deep.equal({
+        name: 'path',
+        missing: false,
+        value: '',
+        reason: 'expected to match "[^\\/]+?"'
+      });
+    });
+
+    it('should find repeated param not allowed to repeat', function () {
+      expect(routeHelper.findInvalidParam(parse('/foo/:input'), {input: ['a', 'b']})).to.deep.equal({
+        name: 'input',
+        missing: false,
+        value: ['a', 'b'],
+        reason: 'expected to not repeat'
+      });
+    });
+  });
+
+  describe('.editDistance()', function () {
+    it('should count the edits', function () {
+      expect(routeHelper.editDistance('', '')).to.equal(0);
+      expect(routeHelper.editDistance('article', 'article')).to.equal(0);
+      expect(routeHelper.editDistance('', 'abc')).to.equal(3);
+      expect(routeHelper.editDistance('article.detial', 'article.detail')).to.equal(2);
+      expect(routeHelper.editDistance('artcle.list', 'article.list')).to.equal(1);
+      expect(routeHelper.editDistance('kitten', 'sitting')).to.equal(3);
+    });
+  });
+
+  describe('.suggestNames()', function () {
+    var names = ['article.list', 'article.detail', 'article.save', 'article.edit', 'user.detail', 'file'];
+
+    it('should suggest similar names, the most similar first', function () {
+      expect(routeHelper.suggestNames('article.detial', names)).to.deep.equal(['article.detail', 'article.edit']);
+      expect(routeHelper.suggestNames('article.dit', names)).to.deep.equal(['article.edit', 'article.list']);
+      expect(routeHelper.suggestNames('fil', names)).to.deep.equal(['file']);
+    });
+
+    it('should suggest names ending with the same segments', function () {
+      expect(routeHelper.suggestNames('detail', names)).to.deep.equal(['article.detail', 'user.detail']);
+    });
+
+    it('should return empty array when nothing is similar', function () {
+      expect(routeHelper.suggestNames('payment', names)).to.deep.equal([]);
+    });
+
+    it('should limit the suggestions', function () {
+      expect(routeHelper.suggestNames('article.dit', names, 1)).to.deep.equal(['article.edit']);
+    });
+  });
+
+  describe('.joinUrl()', function () {
+    it('should join with exactly one slash', function () {
+      expect(routeHelper.joinUrl('https://www.cermati.com', '/articles')).to.equal('https://www.cermati.com/articles');
+      expect(routeHelper.joinUrl('https://www.cermati.com/', '/articles')).to.equal('https://www.cermati.com/articles');
+      expect(routeHelper.joinUrl('https://www.cermati.com', 'articles')).to.equal('https://www.cermati.com/articles');
+    });
+
+    it('should keep the path prefix of base URL', function () {
+      expect(routeHelper.joinUrl('https://www.cermati.com/app', '/articles')).to.equal('https://www.cermati.com/app/articles');
+      expect(routeHelper.joinUrl('https://www.cermati.com/app/', '/')).to.equal('https://www.cermati.com/app/');
+    });
+  });
+
+  describe('.toHash()', function () {
+    it('should prepend single #', function () {
+      expect(routeHelper.toHash('comments')).to.equal('#comments');
+      expect(routeHelper.toHash('#comments')).to.equal('#comments');
+    });
+
+    it('should encode characters not allowed in fragment', function () {
+      expect(routeHelper.toHash('komentar baru#1')).to.equal('#komentar%20baru%231');
+      expect(routeHelper.toHash('a/b?c=d')).to.equal('#a/b?c=d');
+    });
+
+    it('should return empty string for empty fragment', function () {
+      expect(routeHelper.toHash('')).to.equal('');
+      expect(routeHelper.toHash('#')).to.equal('');
+    });
+  });
+
+  describe('.toPlainObject()', function () {
+    it('should copy own properties', function () {
+      var obj = Object.create(null);
+      obj.foo = 'bar';
+
+      expect(routeHelper.toPlainObject(obj)).to.deep.equal({foo: 'bar'});
+      expect(routeHelper.toPlainObject(undefined)).to.deep.equal({});
+    });
+  });
+
+  describe('.isRouteOptions()', function () {
+    it('should return true for plain object', function () {
+      expect(routeHelper.isRouteOptions({})).to.be.true;
+      expect(routeHelper.isRouteOptions({meta: {owner: 'growth'}})).to.be.true;
+      expect(routeHelper.isRouteOptions(Object.create(null))).to.be.true;
+    });
+
+    it('should return false for middleware and others', function () {
+      expect(routeHelper.isRouteOptions(function () {})).to.be.false;
+      expect(routeHelper.isRouteOptions([function () {}])).to.be.false;
+      expect(routeHelper.isRouteOptions(null)).to.be.false;
+      expect(routeHelper.isRouteOptions(undefined)).to.be.false;
+      expect(routeHelper.isRouteOptions('/path')).to.be.false;
+      expect(routeHelper.isRouteOptions(/path/)).to.be.false;
+    });
+  });
+
+  describe('.mergeObjects()', function () {
+    it('should merge objects, the later one wins', function () {
+      expect(routeHelper.mergeObjects([])).to.deep.equal({});
+      expect(routeHelper.mergeObjects([{a: 1, b: 1}, {b: 2}, {c: 3}])).to.deep.equal({a: 1, b: 2, c: 3});
+    });
+
+    it('should ignore non object', function () {
+      expect(routeHelper.mergeObjects([undefined, {a: 1}, null, 'b'])).to.deep.equal({a: 1});
+    });
+
+    it('should not modify given objects', function () {
+      var first = {a: 1};
+      routeHelper.mergeObjects([first, {a: 2}]);
+      expect(first).to.deep.equal({a: 1});
+    });
+  });
+
   describe('.flattenDeep()', function () {
     context('when given empty array', function () {
       it('should return empty array', function () {
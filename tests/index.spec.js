@@ -1,13 +1,14 @@
 'use strict';
 
 var chai = require('chai');
-var rewire = require('rewire');
 var sinon = require('sinon');
 var sinonChai = require('sinon-chai');
 chai.use(sinonChai);
 
 var expect = chai.expect;
 
+var errors = require('../index').errors;
+
 describe('router/index.js', function () {
   describe('[METHOD]()', function () {
     var app = {
@@ -147,12 +148,8 @@ describe('router/index.js', function () {
       before('create fake simple routing traversal', function () {
         app = {};
 
-        // We want to modify router's routeTable, which is private field
-        // That's why we use rewire, instead of require
-        var wiredRoute = rewire('../index');
-
-        // Create router object
-        router = wiredRoute(app);
+        // Use an isolated registry, so the route table is not shared with other tests
+        router = require('../index').createRegistry()(app);
 
         app.routeTraversal = [
           {operation: PUSH, name: 'foo', path: '/foo'},
@@ -164,12 +161,12 @@ describe('router/index.js', function () {
         ];
 
         router.buildRouteTable();
-        routeTable = wiredRoute.__get__('routeTable');
+        routeTable = router.getRouteTable();
       });
       it('should build the route table successfully', function () {
-        expect(routeTable['foo'].pattern).to.equal('/foo');
-        expect(routeTable['bar'].pattern).to.equal('/bar/bar');
-        expect(routeTable['baz'].pattern).to.equal('/baz/:input');
+        expect(routeTable['foo']).to.equal('/foo');
+        expect(routeTable['bar']).to.equal('/bar/bar');
+        expect(routeTable['baz']).to.equal('/baz/:input');
       });
     });
 
@@ -181,8 +178,7 @@ describe('router/index.js', function () {
 
       before('create fake nested routing traversal', function () {
         app = {};
-        var wiredRoute = rewire('../index');
-        router = wiredRoute(app);
+        router = require('../index').createRegistry()(app);
 
         app.routeTraversal = [
           {operation: PUSH, name: 'foo', path: '/foo'},
@@ -200,7 +196,7 @@ describe('router/index.js', function () {
         ];
 
         router.buildRouteTable();
-        routeTable = wiredRoute.__get__('routeTable');
+        routeTable = router.getRouteTable();
       });
       it('Non terminal route should be undefined', function () {
         expect(routeTable['foo']).to.be.undefined;
@@ -209,8 +205,8 @@ describe('router/index.js', function () {
       });
 
       it('Terminal route should be registered in routeTable', function () {
-        expect(routeTable['foo.foo-deep.foo-deeper'].pattern).to.equal('/foo/foo-deep/foo-deeper');
-        expect(routeTable['bar.detail'].pattern).to.equal('/bar/detail/:input');
+        expect(routeTable['foo.foo-deep.foo-deeper']).to.equal('/foo/foo-deep/foo-deeper');
+        expect(routeTable['bar.detail']).to.equal('/bar/detail/:input');
       });
     });
 
@@ -222,8 +218,7 @@ describe('router/index.js', function () {
 
       before('create fake nested routing traversal with root routes', function () {
         app = {};
-        var wiredRoute = rewire('../index');
-        router = wiredRoute(app);
+        router = require('../index').createRegistry()(app);
 
         app.routeTraversal = [
           {operation: PUSH, name: 'foo', path: '/foo'},
@@ -255,7 +250,7 @@ describe('router/index.js', function () {
         ];
 
         router.buildRouteTable();
-        routeTable = wiredRoute.__get__('routeTable');
+        routeTable = router.getRouteTable();
       });
 
       it('Non terminal route should be undefined', function () {
@@ -266,16 +261,268 @@ describe('router/index.js', function () {
       });
 
       it('Terminal route should be registered in routeTable', function () {
-        expect(routeTable['foo.list'].pattern).to.equal('/foo');
-        expect(routeTable['foo.detail'].pattern).to.equal('/foo/:input');
-        expect(routeTable['foo.list-category'].pattern).to.equal('/foo/category/:category');
+        expect(routeTable['foo.list']).to.equal('/foo');
+        expect(routeTable['foo.detail']).to.equal('/foo/:input');
+        expect(routeTable['foo.list-category']).to.equal('/foo/category/:category');
+
+        expect(routeTable['1.1-end']).to.equal('/1/end');
+        expect(routeTable['1.1-bypass.3']).to.equal('/1/3');
+        expect(routeTable['1.2.3']).to.equal('/1/2/3');
+
+        expect(routeTable['reg.all']).to.equal('/reg/*');
+      });
+    });
+  });
+
+  describe('.lintRouteTable()', function () {
+    it('should return empty array before build', function () {
+      expect(require('../index').createRegistry().lintRouteTable()).to.deep.equal([]);
+    });
+
+    it('should return the warnings of the route table', function () {
+      var registry = require('../index').createRegistry();
+      var router = registry({});
+      router.addMapping('article.detail', '/articles/:title');
+      router.addMapping('article.show', '/articles/:title');
+      router.buildRouteTable();
+
+      expect(registry.lintRouteTable()).to.have.length(1);
+      expect(registry.lintRouteTable()[0].type).to.equal('duplicate-pattern');
+    });
+  });
+
+  describe('strict mode', function () {
+    var noop = function () {};
+
+    it('should fail building the route table with lint warnings', function () {
+      var registry = require('../index').createRegistry();
+      var router = registry({get: noop});
+      router.get('article.detail', '/articles/:title', noop);
+      router.get('article.new', '/articles/new', noop);
+
+      expect(function () {
+        router.buildRouteTable({strict: true});
+      }).to.throw('Route table has lint warnings:\n' +
+        '  Route article.new (/articles/new) is shadowed by article.detail (/articles/:title) registered before it');
+      expect(registry.getRouteTable()).to.deep.equal({});
+    });
+
+    it('should build the route table without lint warnings', function () {
+      var registry = require('../index').createRegistry();
+      var router = registry({get: noop});
+      router.get('article.new', '/articles/new', noop);
+      router.get('article.detail', '/articles/:title', noop);
+      router.buildRouteTable({strict: true});
+
+      expect(registry.urlFor('article.new')).to.equal('/articles/new');
+    });
+
+    it('should keep the current route table when merging fails', function () {
+      var registry = require('../index').createRegistry();
+      var router = registry({});
+      router.addMapping('article.list', '/articles');
+      router.buildRouteTable();
+
+      var pluginRouter = registry({});
+      pluginRouter.addMapping('plugin.list', '/articles');
+
+      expect(function () {
+        pluginRouter.mergeRouteTable({strict: true});
+      }).to.throw('Routes article.list and plugin.list have the same pattern: /articles');
+      expect(registry.getRouteTable()).to.deep.equal({'article.list': '/articles'});
+    });
+  });
+
+  describe('.rebuildRouteTable()', function () {
+    var registry;
+    var router;
+
+    before('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+      router = registry({});
+
+      router.addMapping('article.list', '/articles');
+      router.buildRouteTable();
+    });
+
+    it('should register routes added after the first build', function () {
+      router.addMapping('article.detail', '/articles/:title');
+      expect(registry.getRouteTable()).to.deep.equal({
+        'article.list': '/articles'
+      });
+
+      router.rebuildRouteTable();
+      expect(registry.getRouteTable()).to.deep.equal({
+        'article.list': '/articles',
+        'article.detail': '/articles/:title'
+      });
+      expect(registry.urlFor('article.detail', {title: 'cool-guy'})).to.equal('/articles/cool-guy');
+    });
+
+    it('should replace the route table with the one built from given app', function () {
+      var reloadedRouter = registry({});
+      reloadedRouter.addMapping('article.list', '/artikel');
+      reloadedRouter.rebuildRouteTable();
+
+      expect(registry.getRouteTable()).to.deep.equal({
+        'article.list': '/artikel'
+      });
+    });
+
+    it('should work without previous build', function () {
+      var otherRegistry = require('../index').createRegistry();
+      var otherRouter = otherRegistry({});
+      otherRouter.addMapping('foo', '/foo');
+      otherRouter.rebuildRouteTable();
+
+      expect(otherRegistry.getRouteTable()).to.deep.equal({'foo': '/foo'});
+    });
+
+    context('when a submodule is mounted again', function () {
+      var otherRegistry;
+      var otherRouter;
+      var createSubApp;
+
+      beforeEach('mount the submodule and build route table', function () {
+        var noop = function () {};
+        createSubApp = function (pattern) {
+          var subApp = function () {};
+          subApp.get = noop;
+          otherRegistry(subApp).get('detail', pattern, noop);
+          return subApp;
+        };
+
+        otherRegistry = require('../index').createRegistry();
+        otherRouter = otherRegistry({get: noop, use: noop});
+        otherRouter.get('home', '/', noop);
+        otherRouter.use('article', '/articles', createSubApp('/:title'));
+        otherRouter.get('about', '/about', noop);
+        otherRouter.buildRouteTable();
+      });
+
+      it('should throw error for the changed routes of the submodule', function () {
+        otherRouter.use('article', '/articles', createSubApp('/read/:title'));
+        expect(function () {
+          otherRouter.rebuildRouteTable();
+        }).to.throw('There are duplicates in route name: article.detail');
+      });
+
+      it('should replace the routes of the submodule after resetRoutes', function () {
+        otherRouter.resetRoutes('article');
+        otherRouter.use('article', '/articles', createSubApp('/read/:title'));
+        otherRouter.rebuildRouteTable();
+
+        expect(otherRegistry.getRouteTable()).to.deep.equal({
+          'home': '/',
+          'about': '/about',
+          'article.detail': '/articles/read/:title'
+        });
+      });
+
+      it('should forget all routes of the app after resetRoutes without name', function () {
+        otherRouter.resetRoutes();
+        otherRouter.get('home', '/home', function () {});
+        otherRouter.rebuildRouteTable();
+
+        expect(otherRegistry.getRouteTable()).to.deep.equal({'home': '/home'});
+      });
+    });
+  });
+
+  describe('.mergeRouteTable()', function () {
+    var registry;
+
+    beforeEach('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+      var router = registry({});
+
+      router.addMapping('article.list', '/articles');
+      router.buildRouteTable();
+    });
+
+    it('should add routes of given app to the route table', function () {
+      var pluginRouter = registry({});
+      pluginRouter.addMapping('plugin.settings', '/plugins/settings');
+      pluginRouter.mergeRouteTable();
+
+      expect(registry.getRouteTable()).to.deep.equal({
+        'article.list': '/articles',
+        'plugin.settings': '/plugins/settings'
+      });
+    });
+
+    it('should keep the route table when there are duplicates', function () {
+      var pluginRouter = registry({});
+      pluginRouter.addMapping('plugin.settings', '/plugins/settings');
+      pluginRouter.addMapping('article.list', '/plugins/articles');
+
+      expect(function () {
+        pluginRouter.mergeRouteTable();
+      }).to.throw('There are duplicates in route name: article.list');
+      expect(registry.getRouteTable()).to.deep.equal({
+        'article.list': '/articles'
+      });
+    });
 
-        expect(routeTable['1.1-end'].pattern).to.equal('/1/end');
-        expect(routeTable['1.1-bypass.3'].pattern).to.equal('/1/3');
-        expect(routeTable['1.2.3'].pattern).to.equal('/1/2/3');
+    it('should keep the methods of the route table when there are duplicates', function () {
+      var noop = function () {};
+      var pluginRouter = registry({get: noop});
+      pluginRouter.get('article.list', '/articles', noop);
+      pluginRouter.addMapping('article.list', '/plugins/articles');
+
+      expect(function () {
+        pluginRouter.mergeRouteTable();
+      }).to.throw(Error);
+      expect(registry.getRouteTable({detailed: true})['article.list'].methods).to.deep.equal([]);
+    });
+  });
 
-        expect(routeTable['reg.all'].pattern).to.equal('/reg/*');
+  describe('.onChange()', function () {
+    var registry;
+    var router;
+    var changes;
+    var stopListening;
+
+    before('initialize router and listen to changes', function () {
+      registry = require('../index').createRegistry();
+      router = registry({});
+      changes = [];
+      stopListening = registry.onChange(function (change) {
+        changes.push(change);
       });
+
+      router.addMapping('article.list', '/articles');
+      router.addMapping('article.detail', '/articles/:title');
+      router.buildRouteTable();
+    });
+
+    it('should notify when route table is built', function () {
+      expect(changes).to.deep.equal([
+        {reason: 'build', added: ['article.list', 'article.detail'], removed: [], changed: []}
+      ]);
+    });
+
+    it('should notify added, removed, and changed routes', function () {
+      var reloadedRouter = registry({});
+      reloadedRouter.addMapping('article.list', '/artikel');
+      reloadedRouter.addMapping('article.search', '/articles/search');
+      reloadedRouter.rebuildRouteTable();
+
+      var pluginRouter = registry({});
+      pluginRouter.addMapping('plugin.settings', '/plugins/settings');
+      pluginRouter.mergeRouteTable();
+
+      expect(changes.slice(1)).to.deep.equal([
+        {reason: 'rebuild', added: ['article.search'], removed: ['article.detail'], changed: ['article.list']},
+        {reason: 'merge', added: ['plugin.settings'], removed: [], changed: []}
+      ]);
+    });
+
+    it('should stop notifying after unsubscribed', function () {
+      stopListening();
+      router.rebuildRouteTable();
+
+      expect(changes.length).to.equal(3);
     });
   });
 
@@ -285,8 +532,7 @@ describe('router/index.js', function () {
 
     before('initialize router & build route table', function () {
       var app = {};
-      var wiredRouter = rewire('../index');
-      router = wiredRouter(app);
+      router = require('../index').createRegistry()(app);
 
       router.addMapping('reg.all', '/reg/*');
       router.addMapping('reg.product', '/reg/:id');
@@ -305,55 +551,290 @@ describe('router/index.js', function () {
     })
   });
 
-  describe('.urlFor()', function () {
-    var urlFor;
-    var routeTable;
-    var router;
-    var revert;
-
-    before('initialize table and inject it to router', function () {
-      router = rewire('../index');
+  describe('.route()', function () {
+    var registry;
+    var app;
+    var expressRoutes;
+    var chain;
+    var sampleMiddleware;
+    var sampleController;
 
-      routeTable = {};
-      routeTable['foo'] = {
-        pattern: '/foo',
-        tokens: [{text: ''}, {text: 'foo'}]
-      };
-      routeTable['foo.list'] = {
-        pattern: '/foo',
-        tokens: [{text: ''}, {text: 'foo'}]
-      };
-      routeTable['foo.detail'] = {
-        pattern: '/foo/:input',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'input', input: true}]
-      };
-      routeTable['foo.list-category'] = {
-        pattern: '/foo/category/:category',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'category'}, {text: 'category', input: true}]
-      };
-      routeTable['foo.list-category.detail'] = {
-        pattern: '/foo/category/:category/:slug',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'category'}, {text: 'category', input: true}, {text: 'slug', input: true}]
-      };
-      routeTable['weird.doubled.input'] = {
-        pattern: '/foo/:input/bun/:input',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'input', input: true}, {text: 'bun'}, {text: 'input', input: true}]
-      };
-      routeTable['flights.fromto'] = {
-        pattern: '/flights/:from-:to',
-        tokens: [{text: ''}, {text: 'flights'}, {text: 'from', input: true}, {text: '-'}, {text: 'to', input: true}]
+    before('initialize router & build route table', function () {
+      sampleMiddleware = function (req, res, next) {
+        return next();
       };
-      routeTable['flights.number'] = {
-        pattern: '/flights/num-:number(\\d+)',
-        tokens: [{text: ''}, {text: 'flights'}, {text: 'num-'}, {text: 'code', input: true}]
+      sampleController = function (req, res) {};
+
+      expressRoutes = {};
+      app = {
+        route: function (path) {
+          expressRoutes[path] = {get: sinon.spy(), put: sinon.spy(), all: sinon.spy()};
+          return expressRoutes[path];
+        }
       };
 
-      revert = router.__set__('routeTable', routeTable);
-      urlFor = router.urlFor;
+      registry = require('../index').createRegistry();
+      var router = registry(app);
+
+      chain = router.route('article.detail', '/articles/:slug', {
+        meta: {owner: 'content'},
+        aliases: ['article.show'],
+        locales: {id: '/artikel/:slug'}
+      });
+      chain
+        .get(sampleMiddleware, sampleController)
+        .put([sampleMiddleware], sampleController)
+        .get(sampleController);
+      router.route('article.any', '/articles/:slug/any').all(sampleController);
+      router.route('article.pending', '/articles/:slug/pending');
+
+      router.buildRouteTable();
+    });
+
+    context('when methods are chained', function () {
+      it('should register the handlers to the express route of each path', function () {
+        expect(expressRoutes['/articles/:slug'].get).to.have.been.calledWith([sampleMiddleware, sampleController]);
+        expect(expressRoutes['/articles/:slug'].put).to.have.been.calledWith([sampleMiddleware, sampleController]);
+        expect(expressRoutes['/artikel/:slug'].get).to.have.been.calledWith([sampleController]);
+        expect(expressRoutes['/articles/:slug/any'].all).to.have.been.calledWith([sampleController]);
+      });
+
+      it('should return the same chainable object', function () {
+        expect(chain.get(sampleController)).to.equal(chain);
+        expect(chain.delete).to.be.a('function');
+      });
+
+      it('should register one route having all the methods', function () {
+        var route = registry.getRoute('article.detail');
+        expect(route.pattern).to.equal('/articles/:slug');
+        expect(route.methods).to.deep.equal(['get', 'put']);
+        expect(route.meta).to.deep.equal({owner: 'content'});
+        expect(registry.getRoute('article.any').methods).to.deep.equal(['all']);
+      });
+
+      it('should support the route options', function () {
+        expect(registry.urlFor('article.show', {slug: 'foo'})).to.equal('/articles/foo');
+        expect(registry.urlFor('article.detail', {slug: 'foo'}, null, {locale: 'id'})).to.equal('/artikel/foo');
+      });
+
+      it('should match by the chained methods', function () {
+        expect(registry.match('/articles/foo', 'PUT').name).to.equal('article.detail');
+        expect(registry.match('/articles/foo', 'POST')).to.equal(null);
+      });
+    });
+
+    context('when no method is chained', function () {
+      it('should register the route without methods, like addMapping', function () {
+        expect(registry.getRoute('article.pending').methods).to.deep.equal([]);
+        expect(registry.urlFor('article.pending', {slug: 'foo'})).to.equal('/articles/foo/pending');
+      });
+    });
+
+    context('when mounted in real express app', function () {
+      it('should be prefixed by the names and paths of its parents', function () {
+        var express = require('express');
+        var expressApp = express();
+        var articleApp = express.Router();
+        var realRegistry = require('../index').createRegistry();
+        var router = realRegistry(expressApp);
+        var articleRouter = realRegistry(articleApp);
+
+        articleRouter.route('detail', ['/:slug', '/id/:id'], {canonical: '/:slug'})
+          .get(sampleController)
+          .post(sampleController);
+        router.use('article', '/articles', articleApp);
+        router.buildRouteTable();
+
+        expect(realRegistry.getRoute('article.detail').methods).to.deep.equal(['get', 'post']);
+        expect(realRegistry.urlFor('article.detail', {slug: 'foo'})).to.equal('/articles/foo');
+        expect(realRegistry.match('/articles/id/12', 'POST').name).to.equal('article.detail');
+        expect(articleApp.stack[0].route.methods).to.deep.equal({get: true, post: true});
+      });
+    });
+
+    context('when given only path', function () {
+      it('should return the express route without registering it', function () {
+        var expressRoute = {get: sinon.spy()};
+        var otherApp = {route: sinon.stub().returns(expressRoute)};
+        var router = require('../index').createRegistry()(otherApp);
+
+        expect(router.route('/users')).to.equal(expressRoute);
+        expect(otherApp.route).to.have.been.calledWith('/users');
+        expect(otherApp.routeTraversal).to.equal(undefined);
+      });
+
+      it('should serve the route of real express router', function () {
+        var express = require('express');
+        var expressRouter = express.Router();
+        var router = require('../index').createRegistry()(expressRouter);
+
+        router.route('/users').get(sampleController);
+
+        expect(expressRouter.stack[0].route.path).to.equal('/users');
+        expect(expressRouter.stack[0].route.methods).to.deep.equal({get: true});
+      });
+    });
+
+    context('when given invalid arguments', function () {
+      it('should throw error', function () {
+        var router = require('../index').createRegistry()(app);
+        expect(function () {
+          router.route('invalid name', '/foo');
+        }).to.throw('Invalid route name: invalid name');
+        expect(function () {
+          router.route('foo', '/foo', {redirectTo: 'bar'});
+        }).to.throw('Option redirectTo of route foo is only for addMapping');
+        expect(function () {
+          router.route('foo', ['/foo', '/bar'], {canonical: '/baz'});
+        }).to.throw('Canonical path /baz of route foo is not one of its paths');
+      });
+    });
+  });
+
+  describe('.group()', function () {
+    var http = require('http');
+    var express = require('express');
+
+    context('when given route options and middleware', function () {
+      var registry;
+      var app;
+      var subApps;
+      var sampleMiddleware;
+      var sampleController;
+      var createRouter;
+      var sub;
+
+      before('initialize router & build route table', function () {
+        sampleMiddleware = function (req, res, next) {
+          return next();
+        };
+        sampleController = function (req, res) {};
+
+        subApps = [];
+        createRouter = sinon.spy(function () {
+          var subApp = function () {};
+          subApp.get = sinon.spy();
+          subApps.push(subApp);
+          return subApp;
+        });
+        app = {use: sinon.spy()};
+
+        registry = require('../index').createRegistry();
+        var router = registry(app);
+
+        sub = router.group('user', '/users/:id', {meta: {owner: 'growth'}, router: createRouter}, sampleMiddleware,
+          function (groupRouter) {
+            groupRouter.get('detail', '/', sampleController);
+            groupRouter.get('edit', '/edit', {meta: {auth: 'owner'}}, sampleController);
+          });
+
+        router.buildRouteTable();
+      });
+
+      it('should create the nested router merging params', function () {
+        expect(createRouter).to.have.been.calledOnce;
+        expect(createRouter).to.have.been.calledWith({mergeParams: true});
+        expect(subApps[0].get).to.have.been.calledWith('/', [sampleController]);
+      });
+
+      it('should mount the nested router after the middleware', function () {
+        expect(app.use).to.have.been.calledWith('/users/:id', [sampleMiddleware, subApps[0]]);
+      });
+
+      it('should return the wrapped nested router', function () {
+        expect(sub.urlFor).to.be.a('function');
+        expect(Object.getPrototypeOf(sub)).to.equal(subApps[0]);
+      });
+
+      it('should prefix the names and paths of the routes', function () {
+        expect(registry.urlFor('user.detail', {id: 12})).to.equal('/users/12');
+        expect(registry.urlFor('user.edit', {id: 12})).to.equal('/users/12/edit');
+        expect(registry.getRoute('user.edit').meta).to.deep.equal({owner: 'growth', auth: 'owner'});
+      });
+    });
+
+    context('when mounted in real express app', function () {
+      var registry;
+      var server;
+
+      before('start server', function (done) {
+        var expressApp = express();
+        registry = require('../index').createRegistry();
+        var router = registry(expressApp);
+
+        var requireLogin = function (req, res, next) {
+          req.user = 'will';
+          return next();
+        };
+        var respond = function (req, res) {
+          res.send(req.user + ' ' + req.params.id + ' ' + req.params.commentId);
+        };
+
+        router.group('article', '/articles/:id', requireLogin, function (sub) {
+          sub.get('comment', '/comments/:commentId', respond);
+          sub.group('admin', '/admin', function (adminSub) {
+            adminSub.route('edit', '/edit').get(respond).post(respond);
+          });
+        });
+        router.buildRouteTable();
+
+        server = expressApp.listen(0, done);
+      });
+
+      after('close server', function (done) {
+        server.close(done);
+      });
+
+      it('should register nested groups to the route table', function () {
+        expect(registry.urlFor('article.comment', {id: 1, commentId: 2})).to.equal('/articles/1/comments/2');
+        expect(registry.urlFor('article.admin.edit', {id: 1})).to.equal('/articles/1/admin/edit');
+        expect(registry.getRoute('article.admin.edit').methods).to.deep.equal(['get', 'post']);
+      });
+
+      it('should serve the routes after the middleware, with the params of the group', function (done) {
+        http.get({port: server.address().port, path: '/articles/1/comments/2'}, function (res) {
+          var body = '';
+          res.setEncoding('utf8');
+          res.on('data', function (chunk) {
+            body += chunk;
+          });
+          res.on('end', function () {
+            expect(body).to.equal('will 1 2');
+            done();
+          });
+        }).on('error', done);
+      });
+    });
+
+    context('when callback is not given', function () {
+      it('should throw error', function () {
+        var router = require('../index').createRegistry()({use: function () {}});
+        expect(function () {
+          router.group('user', '/users', function (req, res, next) {}, {});
+        }).to.throw('Please give callback registering the routes of group user');
+      });
     });
+  });
+
+  describe('.urlFor()', function () {
+    var urlFor;
+    var registry;
+
+    before('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
 
-    after('clean up rewire', function () {
-      revert();
+      var app = {};
+      var router = registry(app);
+      router.addMapping('foo', '/foo');
+      router.addMapping('foo.list', '/foo');
+      router.addMapping('foo.detail', '/foo/:input');
+      router.addMapping('foo.list-category', '/foo/category/:category');
+      router.addMapping('foo.list-category.detail', '/foo/category/:category/:slug');
+      router.addMapping('weird.doubled.input', '/foo/:input/bun/:input');
+      router.addMapping('flights.fromto', '/flights/:from-:to');
+      router.addMapping('flights.number', '/flights/num-:number(\\d+)');
+      router.buildRouteTable();
+      urlFor = registry.urlFor;
     });
 
     context('when route does not need any input', function () {
@@ -382,13 +863,83 @@ describe('router/index.js', function () {
       });
     });
 
+    context('when route name is unknown', function () {
+      it('should throw UnknownRouteError with suggestions', function () {
+        var error;
+        try {
+          urlFor('foo.detial', {input: 'bar'});
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.be.an.instanceof(errors.UnknownRouteError);
+        expect(error).to.be.an.instanceof(errors.UrlForError);
+        expect(error.message).to.equal('Attempted to use undefined routeName: foo.detial, did you mean foo.detail?');
+        expect(error.routeName).to.equal('foo.detial');
+        expect(error.suggestions).to.deep.equal(['foo.detail']);
+      });
+
+      it('should throw UnknownRouteError before build', function () {
+        expect(function () {
+          require('../index').createRegistry().urlFor('foo');
+        }).to.throw(errors.UnknownRouteError, 'Attempted to use undefined routeName: foo');
+      });
+
+      it('should throw UnknownRouteError for names of Object.prototype', function () {
+        ['constructor', 'toString', 'hasOwnProperty'].forEach(function (name) {
+          expect(function () {
+            urlFor(name);
+          }).to.throw(errors.UnknownRouteError, 'Attempted to use undefined routeName: ' + name);
+          expect(function () {
+            registry.verifySignedUrl(name, '/foo?signature=abc');
+          }).to.throw(errors.UnknownRouteError);
+        });
+      });
+    });
+
+    context('when params can not build the url', function () {
+      it('should throw MissingParamError for missing param', function () {
+        var error;
+        try {
+          urlFor('foo.list-category.detail', {category: 'orc', title: 'blade-master'});
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.be.an.instanceof(errors.MissingParamError);
+        expect(error.message).to.equal('Missing param "slug" of route foo.list-category.detail ' +
+          '(/foo/category/:category/:slug)');
+        expect(error.routeName).to.equal('foo.list-category.detail');
+        expect(error.pattern).to.equal('/foo/category/:category/:slug');
+        expect(error.paramName).to.equal('slug');
+        expect(error.expected).to.deep.equal(['category', 'slug']);
+        expect(error.supplied).to.deep.equal(['category', 'title']);
+      });
+
+      it('should throw InvalidParamError for param not matching the pattern', function () {
+        var error;
+        try {
+          urlFor('flights.number', {number: 'GA-123'});
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.be.an.instanceof(errors.InvalidParamError);
+        expect(error.message).to.equal('Invalid param "number" of route flights.number (/flights/num-:number(\\d+)): ' +
+          'expected to match "\\d+", but received "GA-123"');
+        expect(error.paramName).to.equal('number');
+        expect(error.value).to.equal('GA-123');
+        expect(error.reason).to.equal('expected to match "\\d+"');
+      });
+    });
+
     context('when given queries', function () {
       it('should return the url with queries appended in the end', function () {
-        expect(urlFor('foo', {}, {})).to.equal('/foo?');
+        expect(urlFor('foo', {}, {})).to.equal('/foo');
         expect(urlFor('foo', {}, {bar: 'baz'})).to.equal('/foo?bar=baz');
         expect(urlFor('foo', {}, {bar: 'baz', 'fuu-uu': 'rage'})).to.equal('/foo?bar=baz&fuu-uu=rage');
 
-        expect(urlFor('foo.list-category', {category: 'ogre'}, {})).to.equal('/foo/category/ogre?');
+        expect(urlFor('foo.list-category', {category: 'ogre'}, {})).to.equal('/foo/category/ogre');
         expect(urlFor('foo.list-category', {category: 'ogre'}, {class: 'magi'})).to.equal('/foo/category/ogre?class=magi');
         expect(urlFor('foo.list-category', {category: 'ogre'}, {class: 'magi', size: 'big'})).to.equal('/foo/category/ogre?class=magi&size=big');
 
@@ -436,76 +987,130 @@ describe('router/index.js', function () {
           urlFor('flights.number', {number: 'test'})
         }).to.throw(Error);
       });
+    })
+    context('when compared to compiling the pattern on every call', function () {
+      it('should generate the same url', function () {
+        var compile = require('path-to-regexp').compile;
+        var patterns = registry.getRouteTable();
+        var params = {input: 'cool guy', category: 'news', slug: 'bar', from: 'CGK', to: 'DPS', number: 12};
+
+        ['foo', 'foo.detail', 'foo.list-category.detail', 'flights.fromto', 'flights.number'].forEach(function (name) {
+          expect(urlFor(name, params)).to.equal(compile(patterns[name])(params));
+        });
+      });
     });
-  });
 
-  describe('.absoluteUrlFor()', function () {
-    var absoluteUrlFor;
-    var routeTable;
-    var router;
-    var revert;
+    context('when given hash', function () {
+      it('should append the fragment after the queries', function () {
+        expect(urlFor('foo.detail', {input: 'bar'}, null, {hash: 'comments'})).to.equal('/foo/bar#comments');
+        expect(urlFor('foo.detail', {input: 'bar'}, {page: 2}, {hash: '#comments'})).to.equal('/foo/bar?page=2#comments');
+        expect(urlFor('foo.detail', {input: 'bar'}, {}, {hash: 'comments'})).to.equal('/foo/bar#comments');
+      });
 
-    before('initialize table and inject it to router', function () {
-      router = rewire('../index');
+      it('should encode the fragment', function () {
+        expect(urlFor('foo', {}, null, {hash: 'komentar baru#1'})).to.equal('/foo#komentar%20baru%231');
+      });
 
-      routeTable = {};
-      routeTable['foo'] = {
-        pattern: '/foo',
-        tokens: [{text: ''}, {text: 'foo'}]
-      };
-      routeTable['foo.list'] = {
-        pattern: '/foo',
-        tokens: [{text: ''}, {text: 'foo'}]
-      };
-      routeTable['foo.detail'] = {
-        pattern: '/foo/:input',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'input', input: true}]
-      };
-      routeTable['foo.list-category'] = {
-        pattern: '/foo/category/:category',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'category'}, {text: 'category', input: true}]
-      };
-      routeTable['foo.list-category.detail'] = {
-        pattern: '/foo/category/:category/:slug',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'category'}, {text: 'category', input: true}, {text: 'slug', input: true}]
-      };
-      routeTable['weird.doubled.input'] = {
-        pattern: '/foo/:input/bun/:input',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'input', input: true}, {text: 'bun'}, {text: 'input', input: true}]
-      };
+      it('should ignore empty fragment', function () {
+        expect(urlFor('foo', {}, null, {hash: ''})).to.equal('/foo');
+        expect(urlFor('foo', {}, null, {hash: null})).to.equal('/foo');
+      });
+    });
 
-      revert = router.__set__('routeTable', routeTable);
-      absoluteUrlFor = router.absoluteUrlFor;
+    context('when asked for URL object without baseUrl', function () {
+      it('should throw error', function () {
+        expect(function () {
+          urlFor('foo', {}, null, {object: true});
+        }).to.throw('Please set baseUrl with .setBaseUrl before!');
+      });
     });
+  });
 
-    after('clean up rewire', function () {
-      revert();
+  describe('.setQueryOptions()', function () {
+    var registry;
+
+    beforeEach('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+      var router = registry({});
+      router.addMapping('search', '/search');
+      router.buildRouteTable();
     });
 
-    context('when no baseUrl is set', function () {
-      it('should throw error', function () {
-        expect(function () {
-          absoluteUrlFor('foo');
-        }).to.throw(Error);
+    it('should serialize queries with the options', function () {
+      registry.setQueryOptions({nested: true, arrayFormat: 'brackets', skipNulls: true, sort: true});
 
-        expect(function () {
-          absoluteUrlFor('nope');
-        }).to.throw(Error);
-      });
+      expect(registry.urlFor('search', {}, {tag: ['a', 'b'], page: null, filter: {price: {min: 1}}}))
+        .to.equal('/search?filter[price][min]=1&tag[]=a&tag[]=b');
     });
 
-    context('when baseUrl is set', function () {
-      var baseUrl;
+    it('should override the options per call', function () {
+      registry.setQueryOptions({arrayFormat: 'brackets'});
 
-      before('set base URL', function () {
-        baseUrl = 'http://www.cermati.com';
-        router.setBaseUrl(baseUrl);
+      expect(registry.urlFor('search', {}, {tag: ['a', 'b']}, {query: {arrayFormat: 'comma'}}))
+        .to.equal('/search?tag=a,b');
+      expect(registry.urlFor('search', {}, {tag: ['a', 'b']})).to.equal('/search?tag[]=a&tag[]=b');
+    });
+
+    it('should use custom serializer', function () {
+      registry.setQueryOptions({
+        serialize: function (queries) {
+          return 'q=' + Object.keys(queries).join('+');
+        }
       });
 
-      context('when route does not need any input', function () {
-        it('should return the route normally', function () {
-          expect(absoluteUrlFor('foo')).to.equal(baseUrl + '/foo');
-          expect(absoluteUrlFor('foo.list')).to.equal(baseUrl + '/foo');
+      expect(registry.urlFor('search', {}, {a: 1, b: 2})).to.equal('/search?q=a+b');
+    });
+
+    it('should reject invalid options', function () {
+      expect(function () {
+        registry.setQueryOptions({arrayFormat: 'json'});
+      }).to.throw('Unknown query array format: json');
+    });
+  });
+
+  describe('.absoluteUrlFor()', function () {
+    var absoluteUrlFor;
+    var registry;
+
+    before('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+
+      var app = {};
+      var router = registry(app);
+      router.addMapping('foo', '/foo');
+      router.addMapping('foo.list', '/foo');
+      router.addMapping('foo.detail', '/foo/:input');
+      router.addMapping('foo.list-category', '/foo/category/:category');
+      router.addMapping('foo.list-category.detail', '/foo/category/:category/:slug');
+      router.addMapping('weird.doubled.input', '/foo/:input/bun/:input');
+      router.buildRouteTable();
+      absoluteUrlFor = registry.absoluteUrlFor;
+    });
+
+    context('when no baseUrl is set', function () {
+      it('should throw error', function () {
+        expect(function () {
+          absoluteUrlFor('foo');
+        }).to.throw(Error);
+
+        expect(function () {
+          absoluteUrlFor('nope');
+        }).to.throw(Error);
+      });
+    });
+
+    context('when baseUrl is set', function () {
+      var baseUrl;
+
+      before('set base URL', function () {
+        baseUrl = 'http://www.cermati.com';
+        registry.setBaseUrl(baseUrl);
+      });
+
+      context('when route does not need any input', function () {
+        it('should return the route normally', function () {
+          expect(absoluteUrlFor('foo')).to.equal(baseUrl + '/foo');
+          expect(absoluteUrlFor('foo.list')).to.equal(baseUrl + '/foo');
         });
       });
 
@@ -530,11 +1135,11 @@ describe('router/index.js', function () {
 
       context('when given queries', function () {
         it('should return the url with queries appended in the end', function () {
-          expect(absoluteUrlFor('foo', {}, {})).to.equal(baseUrl + '/foo?');
+          expect(absoluteUrlFor('foo', {}, {})).to.equal(baseUrl + '/foo');
           expect(absoluteUrlFor('foo', {}, {bar: 'baz'})).to.equal(baseUrl + '/foo?bar=baz');
           expect(absoluteUrlFor('foo', {}, {bar: 'baz', 'fuu-uu': 'rage'})).to.equal(baseUrl + '/foo?bar=baz&fuu-uu=rage');
 
-          expect(absoluteUrlFor('foo.list-category', {category: 'ogre'}, {})).to.equal(baseUrl + '/foo/category/ogre?');
+          expect(absoluteUrlFor('foo.list-category', {category: 'ogre'}, {})).to.equal(baseUrl + '/foo/category/ogre');
           expect(absoluteUrlFor('foo.list-category', {category: 'ogre'}, {class: 'magi'})).to.equal(baseUrl + '/foo/category/ogre?class=magi');
           expect(absoluteUrlFor('foo.list-category', {category: 'ogre'}, {class: 'magi', size: 'big'})).to.equal(baseUrl + '/foo/category/ogre?class=magi&size=big');
 
@@ -569,59 +1174,1046 @@ describe('router/index.js', function () {
           }).to.throw(Error);
         });
       });
+  
+      context('when given hash', function () {
+        it('should return the url with the fragment', function () {
+          expect(absoluteUrlFor('foo.detail', {input: 'bar'}, {page: 2}, {hash: 'comments'})).to.equal(baseUrl + '/foo/bar?page=2#comments');
+        });
+      });
+
+      context('when asked for URL object', function () {
+        it('should return WHATWG URL', function () {
+          var result = absoluteUrlFor('foo.detail', {input: 'bar'}, {page: 2}, {hash: 'comments', object: true});
+          expect(result).to.be.an.instanceof(URL);
+          expect(result.href).to.equal(baseUrl + '/foo/bar?page=2#comments');
+          expect(result.pathname).to.equal('/foo/bar');
+          expect(result.searchParams.get('page')).to.equal('2');
+          expect(result.hash).to.equal('#comments');
+        });
+
+        it('should return the same URL from urlFor', function () {
+          var result = registry.urlFor('foo.detail', {input: 'bar'}, null, {object: true});
+          expect(result).to.be.an.instanceof(URL);
+          expect(result.href).to.equal(baseUrl + '/foo/bar');
+        });
+      });
+    });
+
+    context('when baseUrl has trailing slash or path prefix', function () {
+      after('restore base URL', function () {
+        registry.setBaseUrl('http://www.cermati.com');
+      });
+
+      it('should not produce double slash', function () {
+        registry.setBaseUrl('http://www.cermati.com/');
+        expect(absoluteUrlFor('foo.detail', {input: 'bar'})).to.equal('http://www.cermati.com/foo/bar');
+      });
+
+      it('should keep the path prefix', function () {
+        registry.setBaseUrl('https://www.cermati.com/app');
+        expect(absoluteUrlFor('foo.detail', {input: 'bar'})).to.equal('https://www.cermati.com/app/foo/bar');
+        expect(absoluteUrlFor('foo.detail', {input: 'bar'}, null, {object: true}).pathname).to.equal('/app/foo/bar');
+
+        registry.setBaseUrl('https://www.cermati.com/app/');
+        expect(absoluteUrlFor('foo.detail', {input: 'bar'})).to.equal('https://www.cermati.com/app/foo/bar');
+      });
+    });
+  });
+
+  describe('.setHosts()', function () {
+    var registry;
+
+    before('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+
+      var app = {use: sinon.spy(), get: sinon.spy()};
+      var adminApp = {get: sinon.spy()};
+      var router = registry(app);
+      var adminRouter = registry(adminApp);
+
+      adminRouter.get('dashboard', '/', function () {});
+      adminRouter.get('login', '/login', {host: 'accounts'}, function () {});
+      router.get('home', '/', function () {});
+      router.get('article.detail', '/articles/:title', {host: 'www', aliases: ['post']}, function () {});
+      router.use('admin', '/admin', {host: 'admin'}, adminRouter);
+      router.buildRouteTable();
+
+      registry.setBaseUrl('https://cermati.com');
+      registry.setHosts({
+        www: 'https://www.cermati.com',
+        admin: 'https://admin.cermati.com/',
+        accounts: 'https://accounts.cermati.com/sso'
+      });
+    });
+
+    it('should resolve route bound to host against that host', function () {
+      expect(registry.absoluteUrlFor('article.detail', {title: 'cool-guy'})).to.equal('https://www.cermati.com/articles/cool-guy');
+      expect(registry.absoluteUrlFor('post', {title: 'cool-guy'})).to.equal('https://www.cermati.com/articles/cool-guy');
+    });
+
+    it('should resolve routes of submodule against the host of submodule', function () {
+      expect(registry.absoluteUrlFor('admin.dashboard')).to.equal('https://admin.cermati.com/admin');
+    });
+
+    it('should prefer the host of the route over the one of its submodule', function () {
+      expect(registry.absoluteUrlFor('admin.login')).to.equal('https://accounts.cermati.com/sso/admin/login');
+    });
+
+    it('should resolve route without host against base URL', function () {
+      expect(registry.absoluteUrlFor('home')).to.equal('https://cermati.com/');
+    });
+
+    it('should allow overriding the host', function () {
+      expect(registry.absoluteUrlFor('article.detail', {title: 'a'}, null, {host: 'admin'})).to.equal('https://admin.cermati.com/articles/a');
+      expect(registry.absoluteUrlFor('article.detail', {title: 'a'}, null, {host: null})).to.equal('https://cermati.com/articles/a');
+      expect(registry.urlFor('article.detail', {title: 'a'}, null, {object: true}).host).to.equal('www.cermati.com');
+    });
+
+    it('should not change urlFor', function () {
+      expect(registry.urlFor('admin.login')).to.equal('/admin/login');
+    });
+
+    it('should describe the host in detailed route table', function () {
+      var table = registry.getRouteTable({detailed: true});
+      expect(table['admin.login'].host).to.equal('accounts');
+      expect(table['admin.dashboard'].host).to.equal('admin');
+      expect(table.home).to.not.have.property('host');
+    });
+
+    it('should throw error for unknown host', function () {
+      expect(function () {
+        registry.absoluteUrlFor('article.detail', {title: 'a'}, null, {host: 'api'});
+      }).to.throw('Unknown host: api, please set it with .setHosts before!');
+    });
+
+    it('should replace the hosts set before', function () {
+      registry.setHosts({www: 'https://staging.cermati.com'});
+      expect(registry.absoluteUrlFor('article.detail', {title: 'a'})).to.equal('https://staging.cermati.com/articles/a');
+      expect(function () {
+        registry.absoluteUrlFor('admin.dashboard');
+      }).to.throw('Unknown host: admin, please set it with .setHosts before!');
+    });
+
+    it('should reject invalid base URL', function () {
+      expect(function () {
+        registry.setHosts({www: ''});
+      }).to.throw('Invalid base URL of host www: ""');
+    });
+  });
+
+  describe('.signedUrlFor() and .verifySignedUrl()', function () {
+    var registry;
+    var clock;
+
+    before('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+
+      var router = registry({});
+      router.addMapping('statement.download', '/statements/:id/download', {aliases: ['statement.get']});
+      router.addMapping('card.detail', '/kartu-kredit/:slug', {locales: {en: '/credit-cards/:slug'}, host: 'www'});
+      router.addMapping('files', '/files/:path*');
+      router.buildRouteTable();
+    });
+
+    beforeEach('freeze time', function () {
+      clock = sinon.useFakeTimers(1700000000000);
+    });
+
+    afterEach('restore time', function () {
+      clock.restore();
+    });
+
+    context('when no signing secret is set', function () {
+      it('should throw error', function () {
+        expect(function () {
+          registry.signedUrlFor('statement.download', {id: 1}, {}, {expiresIn: 60});
+        }).to.throw('Please set signing secret with .setSigningSecret before!');
+      });
+    });
+
+    context('when signing secret is set', function () {
+      before('set signing secret', function () {
+        registry.setSigningSecret('s3cr3t');
+        registry.setHosts({www: 'https://www.cermati.com'});
+      });
+
+      it('should append expiry and signature to the url', function () {
+        var signedUrl = registry.signedUrlFor('statement.download', {id: 1}, {format: 'pdf'}, {expiresIn: 60});
+        expect(signedUrl).to.match(/^\/statements\/1\/download\?format=pdf&expires=1700000060&signature=[0-9a-f]{64}$/);
+      });
+
+      it('should verify the url it signed', function () {
+        var signedUrl = registry.signedUrlFor('statement.download', {id: 'a b'}, {format: 'pdf'}, {expiresIn: 60});
+        expect(registry.verifySignedUrl('statement.download', signedUrl)).to.deep.equal({
+          name: 'statement.download',
+          params: {id: 'a b'},
+          query: {format: 'pdf'},
+          expires: new Date(1700000060000)
+        });
+        expect(registry.verifySignedUrl('statement.get', signedUrl).name).to.equal('statement.download');
+      });
+
+      it('should verify localized, absolute, and wildcard url', function () {
+        var localized = registry.signedUrlFor('card.detail', {slug: 'my-card'}, null, {expiresIn: 60, locale: 'en'});
+        expect(registry.verifySignedUrl('card.detail', localized).locale).to.equal('en');
+
+        var absolute = registry.signedUrlFor('card.detail', {slug: 'my-card'}, null, {expiresIn: 60, absolute: true, hash: 'top'});
+        expect(absolute).to.match(/^https:\/\/www\.cermati\.com\/kartu-kredit\/my-card\?expires=\d+&signature=\w+#top$/);
+        expect(registry.verifySignedUrl('card.detail', absolute.split('#')[0]).params).to.deep.equal({slug: 'my-card'});
+
+        var files = registry.signedUrlFor('files', {path: ['a', 'b']}, {}, {expiresIn: 60});
+        expect(registry.verifySignedUrl('files', files).params).to.deep.equal({path: ['a', 'b']});
+      });
+
+      it('should reject tampered params, queries, and expiry', function () {
+        var signedUrl = registry.signedUrlFor('statement.download', {id: 1}, {format: 'pdf'}, {expiresIn: 60});
+        var tampered = [
+          signedUrl.replace('/1/', '/2/'),
+          signedUrl.replace('format=pdf', 'format=csv'),
+          signedUrl.replace('format=pdf&', ''),
+          signedUrl.replace('expires=1700000060', 'expires=1800000000'),
+          signedUrl + '&admin=true'
+        ];
+
+        tampered.forEach(function (path) {
+          expect(function () {
+            registry.verifySignedUrl('statement.download', path);
+          }).to.throw(errors.InvalidSignatureError, 'Invalid signed URL of route statement.download: mismatch');
+        });
+      });
+
+      it('should reject url signed for other route', function () {
+        var signedUrl = registry.signedUrlFor('files', {path: 'statements/1/download'}, {}, {expiresIn: 60});
+        expect(function () {
+          registry.verifySignedUrl('statement.download', signedUrl);
+        }).to.throw(errors.InvalidSignatureError, 'mismatch');
+      });
+
+      it('should reject url without signature', function () {
+        expect(function () {
+          registry.verifySignedUrl('statement.download', '/statements/1/download?expires=1700000060');
+        }).to.throw(errors.InvalidSignatureError, 'missing');
+      });
+
+      it('should reject expired url', function () {
+        var signedUrl = registry.signedUrlFor('statement.download', {id: 1}, {}, {expiresIn: 60});
+        clock.tick(60 * 1000);
+
+        try {
+          registry.verifySignedUrl('statement.download', signedUrl);
+          throw new Error('Expected to throw');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(errors.InvalidSignatureError);
+          expect(err).to.include({reason: 'expired', status: 403, routeName: 'statement.download'});
+        }
+      });
+
+      it('should reject url signed with other secret', function () {
+        var signedUrl = registry.signedUrlFor('statement.download', {id: 1}, {}, {expiresIn: 60});
+        registry.setSigningSecret('rotated');
+
+        expect(function () {
+          registry.verifySignedUrl('statement.download', signedUrl);
+        }).to.throw(errors.InvalidSignatureError, 'mismatch');
+        registry.setSigningSecret('s3cr3t');
+      });
+
+      it('should require positive expiresIn', function () {
+        [undefined, 0, -1, NaN, '60'].forEach(function (expiresIn) {
+          expect(function () {
+            registry.signedUrlFor('statement.download', {id: 1}, {}, {expiresIn: expiresIn});
+          }).to.throw('Please give positive expiresIn (in seconds) to signedUrlFor');
+        });
+      });
+
+      it('should reserve expires and signature queries', function () {
+        expect(function () {
+          registry.signedUrlFor('statement.download', {id: 1}, {signature: 'x'}, {expiresIn: 60});
+        }).to.throw('Query "signature" is reserved for signed URL');
+      });
+
+      it('should reject empty secret', function () {
+        expect(function () {
+          registry.setSigningSecret('');
+        }).to.throw('Signing secret must be non-empty string');
+      });
+    });
+
+    context('when the route is registered with use', function () {
+      it('should reject url whose path is extended', function () {
+        var noop = function () {};
+        var otherRegistry = require('../index').createRegistry();
+        var router = otherRegistry({use: noop});
+        router.use('statement', '/statements/:id', noop);
+        router.buildRouteTable();
+        otherRegistry.setSigningSecret('s3cr3t');
+
+        var signedUrl = otherRegistry.signedUrlFor('statement', {id: 1}, null, {expiresIn: 60});
+        expect(otherRegistry.verifySignedUrl('statement', signedUrl).params).to.deep.equal({id: '1'});
+        expect(function () {
+          otherRegistry.verifySignedUrl('statement', signedUrl.replace('/statements/1', '/statements/1/delete'));
+        }).to.throw(errors.InvalidSignatureError, 'mismatch');
+      });
+    });
+
+    context('when other route has the same pattern with other method', function () {
+      it('should verify against the given route only', function () {
+        var noop = function () {};
+        var otherRegistry = require('../index').createRegistry();
+        var router = otherRegistry({get: noop, post: noop});
+        router.post('statement.regen', '/statements/:id/download', noop);
+        router.get('statement.download', '/statements/:id/download', noop);
+        router.buildRouteTable();
+        otherRegistry.setSigningSecret('s3cr3t');
+
+        var signedUrl = otherRegistry.signedUrlFor('statement.download', {id: 1}, null, {expiresIn: 60});
+        expect(otherRegistry.verifySignedUrl('statement.download', signedUrl)).to.deep.equal({
+          name: 'statement.download',
+          params: {id: '1'},
+          query: {},
+          expires: new Date(1700000060000)
+        });
+      });
     });
   });
 
   describe('.getRouteTable()', function () {
-    var routeTable;
+    var registry;
+
+    before('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+
+      var app = {};
+      var router = registry(app);
+      router.addMapping('foo', '/foo');
+      router.addMapping('foo.list', '/foo');
+      router.addMapping('foo.detail', '/foo/:input');
+      router.addMapping('foo.list-category', '/foo/category/:category');
+      router.addMapping('foo.list-category.detail', '/foo/category/:category/:slug');
+      router.addMapping('weird.doubled.input', '/foo/:input/bun/:input');
+      router.buildRouteTable();
+    });
+
+    it('should return correct table', function () {
+      expect(registry.getRouteTable()).to.deep.equal({
+        'foo': '/foo',
+        'foo.list': '/foo',
+        'foo.detail': '/foo/:input',
+        'foo.list-category': '/foo/category/:category',
+        'foo.list-category.detail': '/foo/category/:category/:slug',
+        'weird.doubled.input': '/foo/:input/bun/:input'
+      });
+    });
+  });
+
+  describe('.getRouteTable({detailed: true})', function () {
+    var registry;
     var router;
-    var revert;
+    var noop = function () {};
 
-    before('initialize table and inject it to router', function () {
-      router = rewire('../index');
+    before('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+      router = registry({get: noop, post: noop, put: noop, all: noop});
+
+      router.get('user.edit', '/users/:id/edit', noop);
+      router.post('user.edit', '/users/:id/edit', noop);
+      router.put('user.update', '/users/:id', noop);
+      router.all('user.any', '/users/:id/any', noop);
+      router.addMapping('user.all', '/users/*');
+      router.buildRouteTable();
+    });
 
-      routeTable = {};
-      routeTable['foo'] = {
-        pattern: '/foo',
-        tokens: [{text: ''}, {text: 'foo'}]
-      };
-      routeTable['foo.list'] = {
-        pattern: '/foo',
-        tokens: [{text: ''}, {text: 'foo'}]
-      };
-      routeTable['foo.detail'] = {
-        pattern: '/foo/:input',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'input', input: true}]
-      };
-      routeTable['foo.list-category'] = {
-        pattern: '/foo/category/:category',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'category'}, {text: 'category', input: true}]
-      };
-      routeTable['foo.list-category.detail'] = {
-        pattern: '/foo/category/:category/:slug',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'category'}, {text: 'category', input: true}, {text: 'slug', input: true}]
-      };
-      routeTable['weird.doubled.input'] = {
-        pattern: '/foo/:input/bun/:input',
-        tokens: [{text: ''}, {text: 'foo'}, {text: 'input', input: true}, {text: 'bun'}, {text: 'input', input: true}]
-      };
+    it('should return pattern and methods of each route', function () {
+      expect(registry.getRouteTable({detailed: true})).to.deep.equal({
+        'user.edit': {pattern: '/users/:id/edit', methods: ['get', 'post'], meta: {}},
+        'user.update': {pattern: '/users/:id', methods: ['put'], meta: {}},
+        'user.any': {pattern: '/users/:id/any', methods: ['all'], meta: {}},
+        'user.all': {pattern: '/users/*', methods: [], meta: {}}
+      });
+    });
+
+    it('should not expose the internal route table', function () {
+      registry.getRouteTable({detailed: true})['user.edit'].methods.push('delete');
+      expect(registry.getRouteTable({detailed: true})['user.edit'].methods).to.deep.equal(['get', 'post']);
+    });
+
+    context('when the same method and pattern is registered with different names', function () {
+      it('should throw error', function () {
+        var conflicting = require('../index').createRegistry()({get: noop});
+        conflicting.get('user.edit', '/users/:id/edit', noop);
+        conflicting.get('user.form', '/users/:id/edit', noop);
 
-      revert = router.__set__('routeTable', routeTable);
+        expect(function () {
+          conflicting.buildRouteTable();
+        }).to.throw('There are conflicting routes for get /users/:id/edit: user.edit and user.form');
+      });
     });
+  });
 
-    after('clean up rewire', function () {
-      revert();
+  describe('route options', function () {
+    var registry;
+    var app;
+    var userApp;
+    var sampleController;
+
+    before('initialize router & build route table', function () {
+      var noop = function () {};
+      sampleController = function (req, res) {};
+      app = {get: sinon.spy(), use: noop};
+      userApp = {get: sinon.spy(), post: noop};
+
+      registry = require('../index').createRegistry();
+      var router = registry(app);
+      var userRouter = registry(userApp);
+
+      userRouter.get('detail', '/:id', {meta: {description: 'User profile', sitemap: 0.8}}, sampleController);
+      userRouter.post('edit', '/:id/edit', {meta: {auth: 'owner'}}, noop, noop);
+      userRouter.get('edit', '/:id/edit', {meta: {description: 'Edit form'}}, noop);
+      userRouter.get('list', '/', noop);
+
+      router.use('user', '/users', {meta: {owner: 'growth', auth: 'login'}}, userApp);
+      router.get('home', '/', {meta: {sitemap: 1}}, sampleController);
+      router.addMapping('legacy', '/legacy/*', {meta: {owner: 'core'}});
+      router.buildRouteTable();
     });
 
-    it('should return correct table', function () {
-      var expectedRouteTable = {};
-      for (var k in routeTable){
-        if (routeTable.hasOwnProperty(k)) {
-          expectedRouteTable[k] = routeTable[k].pattern;
+    it('should not pass options to express', function () {
+      expect(userApp.get).to.have.been.calledWith('/:id', [sampleController]);
+      expect(app.get).to.have.been.calledWith('/', [sampleController]);
+    });
+
+    it('should merge meta down the use hierarchy', function () {
+      expect(registry.getRoute('user.detail').meta).to.deep.equal({
+        owner: 'growth',
+        auth: 'login',
+        description: 'User profile',
+        sitemap: 0.8
+      });
+      expect(registry.getRoute('user.list').meta).to.deep.equal({owner: 'growth', auth: 'login'});
+    });
+
+    it('should merge meta of the same route registered with several methods', function () {
+      expect(registry.getRoute('user.edit')).to.deep.equal({
+        name: 'user.edit',
+        pattern: '/users/:id/edit',
+        methods: ['post', 'get'],
+        meta: {owner: 'growth', auth: 'owner', description: 'Edit form'}
+      });
+    });
+
+    it('should accept options in addMapping', function () {
+      expect(registry.getRoute('legacy').meta).to.deep.equal({owner: 'core'});
+    });
+
+    it('should expose meta in detailed route table', function () {
+      var table = registry.getRouteTable({detailed: true});
+      expect(table['home']).to.deep.equal({pattern: '/', methods: ['get'], meta: {sitemap: 1}});
+      expect(table['legacy'].meta).to.deep.equal({owner: 'core'});
+    });
+
+    it('should return null for unknown route', function () {
+      expect(registry.getRoute('nope')).to.be.null;
+      expect(require('../index').createRegistry().getRoute('home')).to.be.null;
+    });
+
+    it('should not expose the internal route table', function () {
+      registry.getRoute('home').meta.sitemap = 0;
+      expect(registry.getRoute('home').meta.sitemap).to.equal(1);
+    });
+  });
+
+  describe('aliases', function () {
+    var registry;
+
+    before('initialize router & build route table', function () {
+      var noop = function () {};
+      var app = {get: noop, use: noop};
+      var cardApp = {get: noop};
+
+      registry = require('../index').createRegistry();
+      var router = registry(app);
+      var cardRouter = registry(cardApp);
+
+      cardRouter.addMapping('legacy-detail', '/kartu-kredit/:slug', {redirectTo: 'detail'});
+      cardRouter.addMapping('legacy-apply', '/kartu-kredit/:slug/ajukan', {redirectTo: 'apply'});
+      cardRouter.get('detail', '/credit-cards/:slug', {aliases: ['show', 'view']}, noop);
+      cardRouter.get('apply', '/credit-cards/:slug/apply', noop);
+
+      router.use('creditCard', '/', cardApp);
+      router.buildRouteTable();
+    });
+
+    it('should resolve aliases in urlFor', function () {
+      expect(registry.urlFor('creditCard.show', {slug: 'myCard'})).to.equal('/credit-cards/myCard');
+      expect(registry.urlFor('creditCard.view', {slug: 'myCard'}, {ref: 'home'})).to.equal('/credit-cards/myCard?ref=home');
+      expect(registry.urlFor('creditCard.legacy-detail', {slug: 'myCard'})).to.equal('/credit-cards/myCard');
+    });
+
+    it('should show the current pattern of aliases in route table', function () {
+      var table = registry.getRouteTable();
+      expect(table['creditCard.show']).to.equal('/credit-cards/:slug');
+      expect(table['creditCard.legacy-detail']).to.equal('/credit-cards/:slug');
+    });
+
+    it('should describe aliases as the route they refer to', function () {
+      expect(registry.getRoute('creditCard.show')).to.deep.equal({
+        name: 'creditCard.show',
+        pattern: '/credit-cards/:slug',
+        methods: ['get'],
+        meta: {},
+        aliasOf: 'creditCard.detail'
+      });
+      expect(registry.getRoute('creditCard.legacy-detail')).to.deep.equal({
+        name: 'creditCard.legacy-detail',
+        pattern: '/credit-cards/:slug',
+        methods: ['get'],
+        meta: {},
+        aliasOf: 'creditCard.detail',
+        legacyPattern: '/kartu-kredit/:slug'
+      });
+    });
+
+    it('should never match aliases', function () {
+      expect(registry.match('/kartu-kredit/myCard')).to.be.null;
+      expect(registry.match('/credit-cards/myCard').name).to.equal('creditCard.detail');
+    });
+
+    it('should find the current url of legacy url', function () {
+      expect(registry.redirectFor('/kartu-kredit/myCard')).to.equal('/credit-cards/myCard');
+      expect(registry.redirectFor('/kartu-kredit/myCard/ajukan?ref=email&a=1')).to.equal('/credit-cards/myCard/apply?ref=email&a=1');
+      expect(registry.redirectFor('https://www.cermati.com/kartu-kredit/myCard')).to.equal('/credit-cards/myCard');
+      expect(registry.redirectFor('/credit-cards/myCard')).to.be.null;
+    });
+
+    context('when alias refers to undefined route', function () {
+      it('should throw error', function () {
+        var router = require('../index').createRegistry()({});
+        router.addMapping('legacy', '/old', {redirectTo: 'nope'});
+
+        expect(function () {
+          router.buildRouteTable();
+        }).to.throw('Alias legacy refers to undefined route name: nope');
+      });
+    });
+
+    context('when redirectTo is given to other than addMapping', function () {
+      it('should throw error', function () {
+        var get = sinon.spy();
+        var router = require('../index').createRegistry()({get: get});
+
+        expect(function () {
+          router.get('old', '/old/:slug', {redirectTo: 'detail'}, function () {});
+        }).to.throw('Option redirectTo of route old is only for addMapping');
+        expect(get).to.not.have.been.called;
+      });
+    });
+
+    context('when legacy pattern lacks param of the route', function () {
+      it('should throw error', function () {
+        var router = require('../index').createRegistry()({});
+        router.addMapping('legacy', '/x/:id');
+        router.addMapping('legacy-old', '/y/:slug', {redirectTo: 'legacy'});
+
+        expect(function () {
+          router.buildRouteTable();
+        }).to.throw('Legacy pattern /y/:slug of legacy-old does not have param "id" of route legacy (/x/:id)');
+      });
+    });
+
+    context('when alias name is taken', function () {
+      it('should throw error', function () {
+        var router = require('../index').createRegistry()({});
+        router.addMapping('list', '/list');
+        router.addMapping('detail', '/detail', {aliases: ['list']});
+
+        expect(function () {
+          router.buildRouteTable();
+        }).to.throw('There are duplicates in route name: list');
+      });
+    });
+  });
+
+  describe('array and RegExp paths', function () {
+    var registry;
+    var app;
+    var controller = function () {};
+    var middlewares = [function () {}, function () {}];
+
+    before('initialize router & build route table', function () {
+      registry = require('../index').createRegistry();
+      app = {get: sinon.spy(), post: sinon.spy(), use: sinon.spy()};
+
+      var subApp = {get: sinon.spy()};
+      var subRouter = registry(subApp);
+      subRouter.get('detail', ['/:title', '/read/:title'], controller);
+      subRouter.get('legacy', /^\/legacy-(\d+)$/, controller);
+
+      var router = registry(app);
+      router.get('home', ['/', '/home', '/index.html'], controller);
+      router.get('card.detail', ['/kartu-kredit/:slug', '/credit-cards/:slug'], {canonical: '/credit-cards/:slug'}, controller);
+      router.get('/unnamed', middlewares, controller);
+      router.get('legacy.article', /^\/artikel-(\d+)\.html$/, controller);
+      router.use('article', ['/articles', '/artikel'], subRouter);
+      router.buildRouteTable();
+    });
+
+    it('should pass the paths to express as is', function () {
+      expect(app.get).to.have.been.calledWith(['/', '/home', '/index.html'], [controller]);
+      expect(app.get).to.have.been.calledWith('/unnamed', [middlewares[0], middlewares[1], controller]);
+      expect(app.get).to.have.been.calledWith(/^\/artikel-(\d+)\.html$/, [controller]);
+    });
+
+    it('should generate url with the first path', function () {
+      expect(registry.urlFor('home')).to.equal('/');
+      expect(registry.urlFor('article.detail', {title: 'cool-guy'})).to.equal('/articles/cool-guy');
+    });
+
+    it('should generate url with the canonical path', function () {
+      expect(registry.urlFor('card.detail', {slug: 'my-card'})).to.equal('/credit-cards/my-card');
+    });
+
+    it('should match all the paths', function () {
+      expect(registry.match('/index.html').name).to.equal('home');
+      expect(registry.match('/kartu-kredit/my-card').name).to.equal('card.detail');
+      expect(registry.match('/artikel/read/cool-guy')).to.deep.equal({
+        name: 'article.detail',
+        params: {title: 'cool-guy'},
+        query: {}
+      });
+    });
+
+    it('should describe the other paths as alternates', function () {
+      expect(registry.getRoute('card.detail').pattern).to.equal('/credit-cards/:slug');
+      expect(registry.getRoute('card.detail').alternates).to.deep.equal(['/kartu-kredit/:slug']);
+      expect(registry.getRoute('article.detail').alternates).to.deep.equal([
+        '/articles/read/:title',
+        '/artikel/:title',
+        '/artikel/read/:title'
+      ]);
+      expect(registry.getRoute('legacy.article')).to.not.have.property('alternates');
+    });
+
+    it('should throw error when canonical path is not one of the paths', function () {
+      var router = require('../index').createRegistry()({get: sinon.spy()});
+
+      expect(function () {
+        router.get('card', ['/a', '/b'], {canonical: '/c'}, controller);
+      }).to.throw('Canonical path /c of route card is not one of its paths');
+    });
+
+    context('when the path is RegExp', function () {
+      it('should register the route as not generatable', function () {
+        expect(registry.getRoute('legacy.article')).to.include({
+          pattern: '/^\\/artikel-(\\d+)\\.html$/',
+          generatable: false
+        });
+        expect(registry.getRouteTable()['article.legacy']).to.equal('/articles + /^\\/legacy-(\\d+)$/');
+        expect(registry.getRouteTable({detailed: true})['article.legacy']).to.include({
+          pattern: '/articles + /^\\/legacy-(\\d+)$/',
+          generatable: false
+        });
+      });
+
+      it('should throw NonGeneratableRouteError from urlFor', function () {
+        expect(function () {
+          registry.urlFor('legacy.article', {0: '123'});
+        }).to.throw(errors.NonGeneratableRouteError,
+          'Route legacy.article has RegExp path /^\\/artikel-(\\d+)\\.html$/, its URL can not be generated');
+      });
+
+      it('should match the route mounted at the root', function () {
+        expect(registry.match('/artikel-123.html')).to.deep.equal({
+          name: 'legacy.article',
+          params: {0: '123'},
+          query: {}
+        });
+      });
+
+      it('should not match the route mounted under a path', function () {
+        expect(registry.match('/articles/legacy-123')).to.deep.equal({
+          name: 'article.detail',
+          params: {title: 'legacy-123'},
+          query: {}
+        });
+        expect(registry.match('/legacy-123')).to.equal(null);
+      });
+
+      it('should be left out from linting and exports', function () {
+        expect(registry.lintRouteTable()).to.deep.equal([]);
+        expect(registry.exportTypes()).to.not.contain('legacy.article');
+        expect(registry.exportOpenApi()).to.not.contain('legacy.article');
+      });
+    });
+  });
+
+  describe('localized patterns', function () {
+    var noop = function () {};
+    var registry;
+    var app;
+
+    before('initialize router & build route table', function () {
+      app = {get: sinon.spy(), post: sinon.spy(), use: sinon.spy()};
+      var cardApp = {get: sinon.spy(), post: sinon.spy()};
+
+      registry = require('../index').createRegistry();
+      var router = registry(app);
+      var cardRouter = registry(cardApp);
+
+      cardRouter.get('list', '/', noop);
+      cardRouter.get('detail', '/:slug', {aliases: ['show']}, noop);
+      cardRouter.get('apply', '/:slug/ajukan', {locales: {en: '/:slug/apply'}}, noop);
+      cardRouter.post('apply', '/:slug/ajukan', {locales: {en: '/:slug/apply', ms: '/:slug/mohon'}}, noop);
+
+      router.get('home', '/', {locales: {en: '/en'}}, noop);
+      router.use('creditCard', '/kartu-kredit', {locales: {en: '/en/credit-cards'}}, cardApp);
+      router.buildRouteTable();
+    });
+
+    it('should register every localized path to express', function () {
+      expect(app.get).to.have.been.calledWith('/', [noop]);
+      expect(app.get).to.have.been.calledWith('/en', [noop]);
+      expect(app.use).to.have.been.calledWith('/kartu-kredit');
+      expect(app.use).to.have.been.calledWith('/en/credit-cards');
+    });
+
+    it('should generate url for the locale', function () {
+      expect(registry.urlFor('home', {}, {}, {locale: 'en'})).to.equal('/en');
+      expect(registry.urlFor('creditCard.list', {}, null, {locale: 'en'})).to.equal('/en/credit-cards');
+      expect(registry.urlFor('creditCard.detail', {slug: 'my-card'}, null, {locale: 'en'}))
+        .to.equal('/en/credit-cards/my-card');
+      expect(registry.urlFor('creditCard.show', {slug: 'my-card'}, null, {locale: 'en'}))
+        .to.equal('/en/credit-cards/my-card');
+      expect(registry.urlFor('creditCard.apply', {slug: 'my-card'}, {ref: 'home'}, {locale: 'en'}))
+        .to.equal('/en/credit-cards/my-card/apply?ref=home');
+      expect(registry.urlFor('creditCard.apply', {slug: 'my-card'}, null, {locale: 'ms'}))
+        .to.equal('/kartu-kredit/my-card/mohon');
+    });
+
+    it('should use the default pattern for other locales', function () {
+      expect(registry.urlFor('creditCard.apply', {slug: 'my-card'})).to.equal('/kartu-kredit/my-card/ajukan');
+      expect(registry.urlFor('creditCard.apply', {slug: 'my-card'}, null, {locale: 'id'}))
+        .to.equal('/kartu-kredit/my-card/ajukan');
+    });
+
+    it('should name the localized pattern in errors', function () {
+      expect(function () {
+        registry.urlFor('creditCard.apply', {}, null, {locale: 'en'});
+      }).to.throw(errors.MissingParamError, 'Missing param "slug" of route creditCard.apply (/en/credit-cards/:slug/apply)');
+    });
+
+    it('should expose the localized patterns in route table', function () {
+      expect(registry.getRouteTable({locale: 'en'})).to.deep.equal({
+        'home': '/en',
+        'creditCard.list': '/en/credit-cards',
+        'creditCard.detail': '/en/credit-cards/:slug',
+        'creditCard.show': '/en/credit-cards/:slug',
+        'creditCard.apply': '/en/credit-cards/:slug/apply'
+      });
+      expect(registry.getRouteTable()['creditCard.apply']).to.equal('/kartu-kredit/:slug/ajukan');
+      expect(registry.getRoute('creditCard.apply')).to.deep.equal({
+        name: 'creditCard.apply',
+        pattern: '/kartu-kredit/:slug/ajukan',
+        methods: ['get', 'post'],
+        meta: {},
+        locales: {
+          en: '/en/credit-cards/:slug/apply',
+          ms: '/kartu-kredit/:slug/mohon'
         }
-      }
+      });
+    });
+
+    it('should match localized urls with their locale', function () {
+      expect(registry.match('/en/credit-cards/my-card?ref=home')).to.deep.equal({
+        name: 'creditCard.detail',
+        params: {slug: 'my-card'},
+        query: {ref: 'home'},
+        locale: 'en'
+      });
+      expect(registry.match('/kartu-kredit/my-card')).to.deep.equal({
+        name: 'creditCard.detail',
+        params: {slug: 'my-card'},
+        query: {}
+      });
+    });
+
+    it('should reject the same name with other localized pattern', function () {
+      var otherRegistry = require('../index').createRegistry();
+      var router = otherRegistry({get: noop, post: noop});
+      router.get('apply', '/ajukan', {locales: {en: '/apply'}}, noop);
+      router.post('apply', '/ajukan', {locales: {en: '/submit'}}, noop);
+
+      expect(function () {
+        router.buildRouteTable();
+      }).to.throw('There are duplicates in route name: apply (locale en)');
+    });
+  });
+
+  describe('deprecation', function () {
+    var registry;
+    var warnings;
+
+    before('initialize router & build route table', function () {
+      var noop = function () {};
+      var app = {get: noop, post: noop, use: noop};
+      var cardApp = {get: noop, post: noop};
+
+      registry = require('../index').createRegistry();
+      var router = registry(app);
+      var cardRouter = registry(cardApp);
+
+      cardRouter.get('detail', '/credit-cards/:slug', noop);
+      cardRouter.get('show', '/credit-cards/:slug/show', {deprecated: {replacement: 'detail'}, aliases: ['view']}, noop);
+      cardRouter.post('show', '/credit-cards/:slug/show', noop);
+      cardRouter.get('old', '/old', {deprecated: 'Old page is going away'}, noop);
+      cardRouter.get('older', '/older', {deprecated: true}, noop);
+
+      router.use('card', '/', cardApp);
+      router.buildRouteTable();
+      registry.setBaseUrl('https://www.cermati.com');
+    });
+
+    beforeEach('capture warnings', function () {
+      warnings = [];
+      registry.setDeprecationHandler(function (warning) {
+        warnings.push(warning);
+      });
+    });
+
+    it('should warn once for each deprecated route', function () {
+      expect(registry.urlFor('card.show', {slug: 'a'})).to.equal('/credit-cards/a/show');
+      expect(registry.urlFor('card.show', {slug: 'b'})).to.equal('/credit-cards/b/show');
+      expect(registry.absoluteUrlFor('card.old')).to.equal('https://www.cermati.com/old');
+      expect(registry.urlFor('card.old')).to.equal('/old');
+      registry.urlFor('card.detail', {slug: 'a'});
+
+      expect(warnings).to.deep.equal([
+        {
+          name: 'card.show',
+          message: 'Route card.show is deprecated, use card.detail instead',
+          replacement: 'card.detail'
+        },
+        {name: 'card.old', message: 'Old page is going away', replacement: undefined}
+      ]);
+    });
+
+    it('should warn when the alias of deprecated route is used', function () {
+      registry.urlFor('card.view', {slug: 'a'});
+      registry.urlFor('card.older');
+
+      // card.show has been warned before
+      expect(warnings).to.deep.equal([
+        {name: 'card.older', message: 'Route card.older is deprecated', replacement: undefined}
+      ]);
+    });
+
+    it('should report deprecated routes in route table', function () {
+      var table = registry.getRouteTable({detailed: true});
+
+      expect(table['card.show'].deprecated).to.deep.equal({
+        message: 'Route card.show is deprecated, use card.detail instead',
+        replacement: 'card.detail'
+      });
+      expect(table['card.show'].methods).to.deep.equal(['get', 'post']);
+      expect(table['card.old'].deprecated).to.deep.equal({message: 'Old page is going away'});
+      expect(table['card.detail'].deprecated).to.be.undefined;
+      expect(registry.getRoute('card.older').deprecated).to.deep.equal({message: 'Route card.older is deprecated'});
+    });
+
+    context('when no deprecation handler is set', function () {
+      it('should print the warning to console', function () {
+        var otherRegistry = require('../index').createRegistry();
+        var router = otherRegistry({});
+        router.addMapping('old', '/old', {deprecated: true});
+        router.buildRouteTable();
+
+        var warn = sinon.stub(console, 'warn');
+        try {
+          otherRegistry.urlFor('old');
+        } finally {
+          warn.restore();
+        }
+
+        expect(warn).to.have.been.calledWith('[route-label] Route old is deprecated');
+      });
+    });
+  });
+
+  describe('.match()', function () {
+    var registry;
+
+    before('initialize router & build route table', function () {
+      var noop = function () {};
+      var app = {get: noop, post: noop, use: noop};
+      var articleApp = {get: noop, post: noop};
+
+      registry = require('../index').createRegistry();
+      var router = registry(app);
+      var articleRouter = registry(articleApp);
+
+      articleRouter.get('list', '/', noop);
+      articleRouter.get('new', '/new', noop);
+      articleRouter.get('detail', '/:title', noop);
+      articleRouter.post('save', '/:title/save', noop);
+
+      router.use('article', '/articles', articleApp);
+      router.use('admin', '/admin', noop);
+      router.get('flight', '/flights/:from-:to', noop);
+      router.addMapping('reg.product', '/reg/:id');
+      router.buildRouteTable();
+    });
+
+    context('when url matches a route', function () {
+      it('should return the route name and params', function () {
+        expect(registry.match('/articles')).to.deep.equal({name: 'article.list', params: {}, query: {}});
+        expect(registry.match('/articles/cool-guy')).to.deep.equal({
+          name: 'article.detail',
+          params: {title: 'cool-guy'},
+          query: {}
+        });
+        expect(registry.match('/flights/CGK-DPS')).to.deep.equal({
+          name: 'flight',
+          params: {from: 'CGK', to: 'DPS'},
+          query: {}
+        });
+        expect(registry.match('/reg/12').name).to.equal('reg.product');
+      });
+
+      it('should return the first registered route', function () {
+        expect(registry.match('/articles/new').name).to.equal('article.new');
+      });
+
+      it('should keep registration order for names looking like integers', function () {
+        var noop = function () {};
+        var otherRegistry = require('../index').createRegistry();
+        var router = otherRegistry({get: noop});
+        router.get('detail', '/:slug', noop);
+        router.get('1', '/special', noop);
+        router.buildRouteTable();
+
+        expect(otherRegistry.match('/special').name).to.equal('detail');
+
+        router.get('404', '/special/:page', noop);
+        router.mergeRouteTable();
+        expect(otherRegistry.match('/special/2').name).to.equal('404');
+        expect(otherRegistry.match('/special').name).to.equal('detail');
+      });
+
+      it('should ignore trailing slash', function () {
+        expect(registry.match('/articles/').name).to.equal('article.list');
+        expect(registry.match('/articles/cool-guy/').name).to.equal('article.detail');
+      });
+
+      it('should decode params', function () {
+        expect(registry.match('/articles/cool%20guy').params).to.deep.equal({title: 'cool guy'});
+      });
+
+      it('should parse queries', function () {
+        expect(registry.match('/articles/cool-guy?mode=show&tag=man&tag=people').query).to.deep.equal({
+          mode: 'show',
+          tag: ['man', 'people']
+        });
+      });
+
+      it('should accept absolute url', function () {
+        expect(registry.match('https://www.cermati.com/articles/cool-guy?mode=show')).to.deep.equal({
+          name: 'article.detail',
+          params: {title: 'cool-guy'},
+          query: {mode: 'show'}
+        });
+      });
+
+      it('should match prefix of routes registered with use', function () {
+        expect(registry.match('/admin/users/1').name).to.equal('admin');
+      });
+    });
+
+    context('when method is given', function () {
+      it('should only match routes registered with the method', function () {
+        expect(registry.match('/articles/cool-guy/save', 'POST').name).to.equal('article.save');
+        expect(registry.match('/articles/cool-guy/save', 'GET')).to.be.null;
+        expect(registry.match('/articles/cool-guy', 'post')).to.be.null;
+      });
+
+      it('should match HEAD request with GET routes', function () {
+        expect(registry.match('/articles/cool-guy', 'HEAD').name).to.equal('article.detail');
+      });
+
+      it('should match routes without specific method with any method', function () {
+        expect(registry.match('/reg/12', 'DELETE').name).to.equal('reg.product');
+        expect(registry.match('/admin/users/1', 'PUT').name).to.equal('admin');
+      });
+    });
+
+    context('when url does not match any route', function () {
+      it('should return null', function () {
+        expect(registry.match('/nope')).to.be.null;
+        expect(registry.match('/articles/cool-guy/nope')).to.be.null;
+        expect(registry.match('/reg')).to.be.null;
+      });
+    });
 
-      expect(router.getRouteTable()).to.deep.equal(expectedRouteTable);
+    context('when route table is not built', function () {
+      it('should return null', function () {
+        expect(require('../index').createRegistry().match('/articles')).to.be.null;
+      });
+    });
+  });
+
+  describe('.createRegistry()', function () {
+    var route;
+    var adminRegistry;
+    var publicRegistry;
+
+    before('build two registries side by side', function () {
+      route = require('../index');
+      adminRegistry = route.createRegistry();
+      publicRegistry = route.createRegistry();
+
+      var adminRouter = adminRegistry({});
+      adminRouter.addMapping('dashboard', '/dashboard');
+      adminRouter.addMapping('user.detail', '/admin/users/:id');
+      adminRouter.buildRouteTable();
+
+      var publicRouter = publicRegistry({});
+      publicRouter.addMapping('user.detail', '/users/:id');
+      publicRouter.buildRouteTable();
+
+      adminRegistry.setBaseUrl('https://admin.cermati.com');
+      publicRegistry.setBaseUrl('https://www.cermati.com');
+    });
+
+    it('should keep route tables separated', function () {
+      expect(adminRegistry.getRouteTable()).to.deep.equal({
+        'dashboard': '/dashboard',
+        'user.detail': '/admin/users/:id'
+      });
+      expect(publicRegistry.getRouteTable()).to.deep.equal({
+        'user.detail': '/users/:id'
+      });
+      expect(route.getRouteTable()).to.deep.equal({});
+    });
+
+    it('should generate url from its own route table', function () {
+      expect(adminRegistry.urlFor('user.detail', {id: 1})).to.equal('/admin/users/1');
+      expect(publicRegistry.urlFor('user.detail', {id: 1})).to.equal('/users/1');
+      expect(function () {
+        publicRegistry.urlFor('dashboard');
+      }).to.throw(Error);
+    });
+
+    it('should keep base urls separated', function () {
+      expect(adminRegistry.absoluteUrlFor('dashboard')).to.equal('https://admin.cermati.com/dashboard');
+      expect(publicRegistry.absoluteUrlFor('user.detail', {id: 1})).to.equal('https://www.cermati.com/users/1');
+    });
+
+    it('should let each registry build its own route table once', function () {
+      var registry = route.createRegistry();
+      var router = registry({});
+      router.buildRouteTable();
+
+      expect(function () {
+        router.buildRouteTable();
+      }).to.throw(Error);
     });
   });
 
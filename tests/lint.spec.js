@@ -0,0 +1,126 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var lint = require('../lint');
+
+describe('router/lint.js', function () {
+  var noop = function () {};
+
+  /**
+   * Lint the route table of a new registry, routes are registered by the given function
+   */
+  function lintRoutes(register) {
+    var registry = require('../index').createRegistry();
+    var router = registry({get: noop, post: noop, all: noop, use: noop});
+    register(router);
+    router.buildRouteTable();
+
+    return registry.lintRouteTable();
+  }
+
+  describe('.produceSamples()', function () {
+    it('should return the pattern without params', function () {
+      expect(lint.produceSamples('/articles')).to.deep.equal(['/articles']);
+    });
+
+    it('should fill the params with different sample values', function () {
+      expect(lint.produceSamples('/articles/:title')).to.deep.equal([
+        '/articles/1', '/articles/a', '/articles/a1', '/articles/A'
+      ]);
+      expect(lint.produceSamples('/articles/:id(\\d+)/:slug')).to.deep.equal([
+        '/articles/1/1', '/articles/1/a', '/articles/1/a1', '/articles/1/A'
+      ]);
+    });
+
+    it('should return empty array when the sample values do not fit', function () {
+      expect(lint.produceSamples('/codes/:code([0-9a-f]{8})')).to.deep.equal([]);
+    });
+  });
+
+  describe('.lintRouteTable()', function () {
+    it('should return no warning for fine routes', function () {
+      expect(lintRoutes(function (router) {
+        router.get('article.list', '/articles', noop);
+        router.post('article.create', '/articles', noop);
+        router.get('article.new', '/articles/new', noop);
+        router.get('article.detail', '/articles/:title', {aliases: ['article.post']}, noop);
+        router.get('page.number', '/pages/:page(\\d+)', noop);
+        router.get('page.slug', '/pages/:slug', noop);
+        router.use('static', '/static', noop);
+        router.get('static.file', '/static/file', noop);
+      })).to.deep.equal([]);
+    });
+
+    it('should warn routes with the same pattern', function () {
+      expect(lintRoutes(function (router) {
+        router.get('article.detail', '/articles/:title', noop);
+        router.addMapping('article.show', '/articles/:slug');
+        router.all('any', '/any', noop);
+        router.post('any.post', '/any', noop);
+      })).to.deep.equal([{
+        type: 'duplicate-pattern',
+        message: 'Routes article.detail and article.show have the same pattern: /articles/:slug',
+        names: ['article.detail', 'article.show'],
+        order: [0, 1]
+      }, {
+        type: 'duplicate-pattern',
+        message: 'Routes any and any.post have the same pattern: /any',
+        names: ['any', 'any.post'],
+        order: [2, 3]
+      }]);
+    });
+
+    it('should warn routes shadowed by an earlier route', function () {
+      expect(lintRoutes(function (router) {
+        router.get('article.detail', '/articles/:title', noop);
+        router.post('article.save', '/articles/new', noop);
+        router.get('article.new', '/articles/new', noop);
+        router.get('article.byId', '/articles/:id(\\d+)', noop);
+      })).to.deep.equal([{
+        type: 'shadowed',
+        message: 'Route article.new (/articles/new) is shadowed by article.detail (/articles/:title) registered before it',
+        names: ['article.detail', 'article.new'],
+        order: [0, 2],
+        methods: ['get']
+      }, {
+        type: 'shadowed',
+        message: 'Route article.byId (/articles/:id(\\d+)) is shadowed by article.detail (/articles/:title) ' +
+          'registered before it',
+        names: ['article.detail', 'article.byId'],
+        order: [0, 3],
+        methods: ['get']
+      }]);
+    });
+
+    it('should keep registration order for names looking like integers', function () {
+      expect(lintRoutes(function (router) {
+        router.get('detail', '/:slug', noop);
+        router.get('1', '/special', noop);
+      })).to.deep.equal([{
+        type: 'shadowed',
+        message: 'Route 1 (/special) is shadowed by detail (/:slug) registered before it',
+        names: ['detail', '1'],
+        order: [0, 1],
+        methods: ['get']
+      }]);
+    });
+
+    it('should warn routes whose URL never matches their pattern', function () {
+      expect(lintRoutes(function (router) {
+        router.get('search', '/search?q=:query', noop);
+        router.addMapping('promo', '/promo page');
+      })).to.deep.equal([{
+        type: 'unproducible',
+        message: 'URL generated for route search never matches its pattern: /search?q=:query',
+        names: ['search'],
+        order: [0]
+      }, {
+        type: 'unproducible',
+        message: 'URL generated for route promo never matches its pattern: /promo page',
+        names: ['promo'],
+        order: [1]
+      }]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+var childProcess = require('child_process');
+var path = require('path');
+var expect = require('chai').expect;
+
+var loader = require('../loader');
+
+describe('router/loader.js', function () {
+  describe('.loadRegistry()', function () {
+    it('should build the route table of the exported router', function () {
+      var registry = loader.loadRegistry(path.join(__dirname, 'fixtures/app.js'));
+
+      expect(registry.getRouteTable()).to.deep.equal({
+        'article.list': '/articles',
+        'article.detail': '/articles/:title',
+        'article.save': '/articles/:title/save',
+        'file': '/files/:path*'
+      });
+    });
+
+    it('should use the default registry when entry does not export router', function () {
+      expect(loader.loadRegistry(path.join(__dirname, '../constants.js'))).to.equal(require('../index'));
+    });
+  });
+});
+
+describe('router/bin/route-label.js', function () {
+  var bin = path.join(__dirname, '../bin/route-label.js');
+  var entry = path.join(__dirname, 'fixtures/app.js');
+
+  describe('routes', function () {
+    var legacyEntry = path.join(__dirname, 'fixtures/legacy-app.js');
+
+    function run(args) {
+      return childProcess.execFileSync(process.execPath, [bin, 'routes'].concat(args)).toString();
+    }
+
+    it('should print the routes as table', function () {
+      expect(run([entry])).to.equal([
+        'NAME            METHOD  PATTERN                NOTE',
+        'article.list    GET     /articles',
+        'article.detail  GET     /articles/:title',
+        'article.save    POST    /articles/:title/save',
+        'file            GET     /files/:path*',
+        ''
+      ].join('\n'));
+    });
+
+    it('should note aliases, legacy URLs, and deprecated routes', function () {
+      expect(run([legacyEntry])).to.equal([
+        'NAME         METHOD  PATTERN        NOTE',
+        'card.detail  GET     /cards/:slug',
+        'card.show    GET     /cards/:slug   alias of card.detail',
+        'card.old     GET     /kartu/:slug   redirects to card.detail',
+        'card.list    GET     /cards         deprecated',
+        'search               /search, cari',
+        ''
+      ].join('\n'));
+    });
+
+    it('should filter by name prefix, method, and pattern', function () {
+      var names = function (output) {
+        return JSON.parse(output).map(function (row) {
+          return row.name;
+        });
+      };
+
+      expect(names(run([entry, '--name', 'article', '--format', 'json'])))
+        .to.deep.equal(['article.list', 'article.detail', 'article.save']);
+      expect(names(run([entry, '--method', 'POST', '--format', 'json']))).to.deep.equal(['article.save']);
+      expect(names(run([entry, '--pattern', ':title', '--format', 'json']))).to.deep.equal(['article.detail', 'article.save']);
+      expect(names(run([entry, '--name', 'article', '--method', 'get', '--pattern', ':title', '--format', 'json'])))
+        .to.deep.equal(['article.detail']);
+    });
+
+    it('should print JSON', function () {
+      expect(JSON.parse(run([entry, '--name', 'file', '--format', 'json']))).to.deep.equal([
+        {name: 'file', method: 'GET', pattern: '/files/:path*', note: ''}
+      ]);
+    });
+
+    it('should print CSV', function () {
+      expect(run([legacyEntry, '--format', 'csv'])).to.equal([
+        'name,method,pattern,note',
+        'card.detail,GET,/cards/:slug,',
+        'card.show,GET,/cards/:slug,alias of card.detail',
+        'card.old,GET,/kartu/:slug,redirects to card.detail',
+        'card.list,GET,/cards,deprecated',
+        'search,,"/search, cari",',
+        ''
+      ].join('\n'));
+    });
+
+    it('should build the route table of the exported express app', function () {
+      expect(run([path.join(__dirname, 'fixtures/express-app.js')])).to.equal([
+        'NAME            METHOD  PATTERN           NOTE',
+        'article.list    GET     /articles',
+        'article.detail  GET     /articles/:title',
+        ''
+      ].join('\n'));
+    });
+
+    it('should fail when no named route is found', function () {
+      var result = childProcess.spawnSync(process.execPath, [bin, 'routes', path.join(__dirname, '../constants.js')]);
+
+      expect(result.status).to.equal(1);
+      expect(result.stdout.toString()).to.equal('');
+      expect(result.stderr.toString()).to.contain('No named routes found in');
+    });
+
+    it('should fail on unknown format', function () {
+      var result = childProcess.spawnSync(process.execPath, [bin, 'routes', entry, '--format', 'xml']);
+
+      expect(result.status).to.equal(1);
+      expect(result.stderr.toString()).to.contain('Unknown route list format: xml');
+    });
+  });
+
+  describe('types', function () {
+    it('should print TypeScript declaration', function () {
+      var output = childProcess.execFileSync(process.execPath, [bin, 'types', entry, '--no-module']).toString();
+
+      expect(output).to.contain('export type RouteName = "article.list" | "article.detail" | "article.save" | "file";');
+      expect(output).to.not.contain('declare module');
+    });
+
+    it('should declare the given module', function () {
+      var output = childProcess.execFileSync(process.execPath, [bin, 'types', entry, '--module', 'my-routes']).toString();
+
+      expect(output).to.contain('declare module "my-routes" {');
+    });
+  });
+
+  describe('openapi', function () {
+    it('should print OpenAPI document', function () {
+      var output = childProcess.execFileSync(process.execPath, [bin, 'openapi', entry, '--title', 'Blog']).toString();
+      var document = JSON.parse(output);
+
+      expect(document.info).to.deep.equal({title: 'Blog', version: '1.0.0'});
+      expect(document.paths['/articles'].get.operationId).to.equal('article.list');
+    });
+
+    it('should print YAML', function () {
+      var output = childProcess.execFileSync(process.execPath, [bin, 'openapi', entry, '--format', 'yaml']).toString();
+
+      expect(output).to.contain('openapi: "3.0.3"\n');
+    });
+  });
+
+  context('when given unknown command', function () {
+    it('should print usage and fail', function () {
+      var result = childProcess.spawnSync(process.execPath, [bin, 'nope', entry]);
+
+      expect(result.status).to.equal(1);
+      expect(result.stderr.toString()).to.contain('Usage:');
+    });
+  });
+});
@@ -0,0 +1,292 @@
+'use strict';
+
+var http = require('http');
+var express = require('express');
+var expect = require('chai').expect;
+
+/**
+ * Send a request to the given server, call back with parsed JSON body and the response
+ */
+function request(server, method, path, callback) {
+  var req = http.request({
+    port: server.address().port,
+    method: method,
+    path: path
+  }, function (res) {
+    var body = '';
+    res.setEncoding('utf8');
+    res.on('data', function (chunk) {
+      body += chunk;
+    });
+    res.on('end', function () {
+      callback(null, body ? JSON.parse(body) : null, res);
+    });
+  });
+  req.on('error', callback);
+  req.end();
+}
+
+describe('router/middleware.js', function () {
+  describe('.routeInfo()', function () {
+    var server;
+
+    before('create app with nested submodules', function (done) {
+      var registry = require('../index').createRegistry();
+      var app = express();
+      var router = registry(app);
+
+      var respond = function (req, res) {
+        res.json({
+          routeName: req.routeName,
+          routeParams: req.routeParams,
+          url: res.locals.urlFor('article.comment.detail', {title: 'cool-guy', id: 1}),
+          absoluteUrl: res.locals.absoluteUrlFor('article.list')
+        });
+      };
+
+      var commentApp = express.Router();
+      var commentRouter = registry(commentApp);
+      commentRouter.get('detail', '/:id', respond);
+
+      var articleApp = express.Router();
+      var articleRouter = registry(articleApp);
+      articleRouter.get('list', '/', respond);
+      articleRouter.use('comment', '/:title/comments', commentApp);
+
+      app.use(registry.middleware());
+      router.use('article', '/articles', articleApp);
+      router.post('login', '/login', respond);
+      router.get('/unnamed', respond);
+
+      router.buildRouteTable();
+      registry.setBaseUrl('https://www.cermati.com');
+
+      server = app.listen(0, done);
+    });
+
+    after('close server', function (done) {
+      server.close(done);
+    });
+
+    it('should expose route name and params of top level route', function (done) {
+      request(server, 'POST', '/login', function (err, body) {
+        expect(body.routeName).to.equal('login');
+        expect(body.routeParams).to.deep.equal({});
+        done(err);
+      });
+    });
+
+    it('should expose route name and params of nested route', function (done) {
+      request(server, 'GET', '/articles/cool-guy/comments/12?page=2', function (err, body) {
+        expect(body.routeName).to.equal('article.comment.detail');
+        expect(body.routeParams).to.deep.equal({title: 'cool-guy', id: '12'});
+        done(err);
+      });
+    });
+
+    it('should expose url helpers for templates', function (done) {
+      request(server, 'GET', '/articles', function (err, body) {
+        expect(body.routeName).to.equal('article.list');
+        expect(body.url).to.equal('/articles/cool-guy/comments/1');
+        expect(body.absoluteUrl).to.equal('https://www.cermati.com/articles');
+        done(err);
+      });
+    });
+
+    it('should set null route name for unnamed route', function (done) {
+      request(server, 'GET', '/unnamed', function (err, body) {
+        expect(body.routeName).to.be.null;
+        expect(body.routeParams).to.deep.equal({});
+        done(err);
+      });
+    });
+  });
+
+  describe('.routeInfo() with sticky params', function () {
+    var server;
+
+    before('create multi-locale app', function (done) {
+      var registry = require('../index').createRegistry();
+      var app = express();
+      var router = registry(app);
+
+      app.use(registry.middleware({stickyParams: ['locale', 'tenant']}));
+      router.get('article.list', '/:locale/articles', function (req, res) {
+        res.json({
+          sameLocale: req.urlFor('article.detail', {title: 'cool-guy'}),
+          otherLocale: req.urlFor('article.detail', {title: 'cool-guy', locale: 'en'}, {ref: 'list'}),
+          absolute: req.absoluteUrlFor('article.list'),
+          template: res.locals.urlFor('article.list')
+        });
+      });
+      router.get('article.detail', '/:locale/articles/:title', function (req, res) {
+        res.json({url: req.urlFor('home')});
+      });
+      router.get('home', '/', function (req, res) {
+        var result = {};
+        try {
+          result.url = req.urlFor('article.list');
+        } catch (err) {
+          result.error = err.name;
+        }
+        res.json(result);
+      });
+
+      router.buildRouteTable();
+      registry.setBaseUrl('https://www.cermati.com');
+
+      server = app.listen(0, done);
+    });
+
+    after('close server', function (done) {
+      server.close(done);
+    });
+
+    it('should fill sticky params from the current route, explicit params override them', function (done) {
+      request(server, 'GET', '/id/articles', function (err, body) {
+        expect(body).to.deep.equal({
+          sameLocale: '/id/articles/cool-guy',
+          otherLocale: '/en/articles/cool-guy?ref=list',
+          absolute: 'https://www.cermati.com/id/articles',
+          template: '/id/articles'
+        });
+        done(err);
+      });
+    });
+
+    it('should ignore sticky params not used by the pattern', function (done) {
+      request(server, 'GET', '/id/articles/cool-guy', function (err, body) {
+        expect(body).to.deep.equal({url: '/'});
+        done(err);
+      });
+    });
+
+    it('should not fill params absent from the current route', function (done) {
+      request(server, 'GET', '/', function (err, body) {
+        expect(body).to.deep.equal({error: 'MissingParamError'});
+        done(err);
+      });
+    });
+  });
+
+  describe('.legacyRedirect()', function () {
+    var server;
+
+    before('create app with legacy patterns', function (done) {
+      var registry = require('../index').createRegistry();
+      var app = express();
+      var router = registry(app);
+
+      app.use(registry.legacyRedirect());
+      router.get('card.detail', '/credit-cards/:slug', function (req, res) {
+        res.json({slug: req.params.slug});
+      });
+      router.post('/kartu-kredit/:slug', function (req, res) {
+        res.json({posted: true});
+      });
+      router.addMapping('card.legacy', '/kartu-kredit/:slug', {redirectTo: 'card.detail'});
+      router.get('card.apply', '/apply/:id(\\d+)', function (req, res) {
+        res.json({id: req.params.id});
+      });
+      router.addMapping('card.legacy-apply', '/ajukan/:id', {redirectTo: 'card.apply'});
+      router.buildRouteTable();
+
+      app.use(function (err, req, res, next) {
+        res.status(500).json({error: err.message});
+      });
+
+      server = app.listen(0, done);
+    });
+
+    after('close server', function (done) {
+      server.close(done);
+    });
+
+    it('should redirect legacy url permanently', function (done) {
+      request(server, 'GET', '/kartu-kredit/my-card?ref=email', function (err, body, res) {
+        expect(res.statusCode).to.equal(301);
+        expect(res.headers.location).to.equal('/credit-cards/my-card?ref=email');
+        done(err);
+      });
+    });
+
+    it('should pass other url to the next middleware', function (done) {
+      request(server, 'GET', '/credit-cards/my-card', function (err, body, res) {
+        expect(res.statusCode).to.equal(200);
+        expect(body).to.deep.equal({slug: 'my-card'});
+        done(err);
+      });
+    });
+
+    it('should not redirect methods other than GET and HEAD', function (done) {
+      request(server, 'POST', '/kartu-kredit/my-card', function (err, body, res) {
+        expect(res.statusCode).to.equal(200);
+        expect(body).to.deep.equal({posted: true});
+        done(err);
+      });
+    });
+
+    it('should pass error when the current url can not be generated', function (done) {
+      request(server, 'GET', '/ajukan/abc', function (err, body, res) {
+        expect(res.statusCode).to.equal(500);
+        expect(body.error).to.equal(
+          'Invalid param "id" of route card.apply (/apply/:id(\\d+)): expected to match "\\d+", but received "abc"');
+        done(err);
+      });
+    });
+  });
+
+  describe('.verifySignature()', function () {
+    var server;
+    var registry;
+
+    before('create app with signed route', function (done) {
+      registry = require('../index').createRegistry();
+      var app = express();
+      var router = registry(app);
+
+      router.get('statement.download', '/statements/:id/download', registry.verifySignature('statement.download'),
+        function (req, res) {
+          res.json({id: req.params.id, query: req.signedUrl.query});
+        });
+      router.buildRouteTable();
+      registry.setSigningSecret('s3cr3t');
+
+      app.use(function (err, req, res, next) {
+        res.status(err.status || 500).json({error: err.message});
+      });
+
+      server = app.listen(0, done);
+    });
+
+    after('close server', function (done) {
+      server.close(done);
+    });
+
+    it('should pass signed url to the controller', function (done) {
+      var signedUrl = registry.signedUrlFor('statement.download', {id: 123}, {format: 'pdf'}, {expiresIn: 60});
+      request(server, 'GET', signedUrl, function (err, body, res) {
+        expect(res.statusCode).to.equal(200);
+        expect(body).to.deep.equal({id: '123', query: {format: 'pdf'}});
+        done(err);
+      });
+    });
+
+    it('should reject tampered url with 403', function (done) {
+      var signedUrl = registry.signedUrlFor('statement.download', {id: 123}, {}, {expiresIn: 60});
+      request(server, 'GET', signedUrl.replace('/123/', '/124/'), function (err, body, res) {
+        expect(res.statusCode).to.equal(403);
+        expect(body.error).to.equal('Invalid signed URL of route statement.download: mismatch');
+        done(err);
+      });
+    });
+
+    it('should reject unsigned url with 403', function (done) {
+      request(server, 'GET', '/statements/123/download', function (err, body, res) {
+        expect(res.statusCode).to.equal(403);
+        expect(body.error).to.equal('Invalid signed URL of route statement.download: missing');
+        done(err);
+      });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+var querystring = require('querystring');
+var expect = require('chai').expect;
+
+var query = require('../query');
+
+describe('router/query.js', function () {
+  describe('.stringify()', function () {
+    context('when given no options', function () {
+      it('should be the same as querystring.stringify', function () {
+        var cases = [
+          {},
+          {bar: 'baz', 'fuu-uu': 'rage'},
+          {list: [1, 2, 3], empty: [], flag: true, nothing: null, nan: NaN, obj: {a: 1}, missing: undefined},
+          {deep: [[1, 2], {a: 1}]},
+          {'sp ace': 'a&b=c', unicode: 'kartu kredit ✓'}
+        ];
+
+        cases.forEach(function (queries) {
+          expect(query.stringify(queries)).to.equal(querystring.stringify(queries));
+        });
+      });
+    });
+
+    context('when given array format', function () {
+      var queries = {tag: ['a', 'b c']};
+
+      it('should repeat the key by default', function () {
+        expect(query.stringify(queries, {arrayFormat: 'repeat'})).to.equal('tag=a&tag=b%20c');
+      });
+
+      it('should write brackets', function () {
+        expect(query.stringify(queries, {arrayFormat: 'brackets'})).to.equal('tag[]=a&tag[]=b%20c');
+      });
+
+      it('should write indices', function () {
+        expect(query.stringify(queries, {arrayFormat: 'indices'})).to.equal('tag[0]=a&tag[1]=b%20c');
+      });
+
+      it('should join with comma', function () {
+        expect(query.stringify({tag: ['a', 'b,c'], empty: []}, {arrayFormat: 'comma'})).to.equal('tag=a,b%2Cc');
+      });
+
+      it('should throw error on unknown format', function () {
+        expect(function () {
+          query.stringify(queries, {arrayFormat: 'bracket'});
+        }).to.throw('Unknown query array format: bracket');
+      });
+    });
+
+    context('when given nested option', function () {
+      it('should write nested objects with brackets', function () {
+        expect(query.stringify({filter: {price: {min: 1, max: 5}, 'sp ace': true}}, {nested: true}))
+          .to.equal('filter[price][min]=1&filter[price][max]=5&filter[sp%20ace]=true');
+      });
+
+      it('should write objects inside arrays', function () {
+        expect(query.stringify({sort: [{field: 'price'}, {field: 'name'}]}, {nested: true, arrayFormat: 'indices'}))
+          .to.equal('sort[0][field]=price&sort[1][field]=name');
+        expect(query.stringify({sort: [{field: 'price'}]}, {nested: true, arrayFormat: 'comma'}))
+          .to.equal('sort[0][field]=price');
+      });
+    });
+
+    context('when given skipNulls option', function () {
+      it('should drop null and undefined values', function () {
+        expect(query.stringify({a: null, b: undefined, c: '', d: [null, 1], e: {f: null}}, {
+          skipNulls: true,
+          nested: true
+        })).to.equal('c=&d=1');
+        expect(query.stringify({d: [null, 1]}, {skipNulls: true, arrayFormat: 'comma'})).to.equal('d=1');
+      });
+    });
+
+    context('when given sort option', function () {
+      it('should sort the keys alphabetically', function () {
+        expect(query.stringify({b: 1, a: {d: 1, c: 2}}, {sort: true, nested: true})).to.equal('a[c]=2&a[d]=1&b=1');
+      });
+
+      it('should sort the keys with compare function', function () {
+        expect(query.stringify({a: 1, b: 2}, {
+          sort: function (x, y) {
+            return (x < y) ? 1 : -1;
+          }
+        })).to.equal('b=2&a=1');
+      });
+    });
+
+    context('when given custom serializer', function () {
+      it('should use it', function () {
+        expect(query.stringify({a: 1}, {
+          arrayFormat: 'brackets',
+          serialize: function (queries, options) {
+            return 'custom:' + JSON.stringify(queries) + ':' + options.arrayFormat;
+          }
+        })).to.equal('custom:{"a":1}:brackets');
+      });
+
+      it('should throw error for non function', function () {
+        expect(function () {
+          query.stringify({a: 1}, {serialize: 'qs'});
+        }).to.throw('Query serializer must be a function');
+      });
+    });
+  });
+});
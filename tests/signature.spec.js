@@ -0,0 +1,56 @@
+'use strict';
+
+var crypto = require('crypto');
+var expect = require('chai').expect;
+
+var signature = require('../signature');
+
+describe('router/signature.js', function () {
+  describe('.sign()', function () {
+    it('should return hex of HMAC-SHA256', function () {
+      var expected = crypto.createHmac('sha256', 'secret').update('/foo?expires=10').digest('hex');
+      expect(signature.sign('/foo?expires=10', 'secret')).to.equal(expected);
+    });
+  });
+
+  describe('.verify()', function () {
+    var signed = signature.sign('/foo?expires=10', 'secret');
+
+    it('should accept the signature of the same payload and secret', function () {
+      expect(signature.verify('/foo?expires=10', signed, 'secret')).to.equal(true);
+    });
+
+    it('should reject other payload or secret', function () {
+      expect(signature.verify('/foo?expires=11', signed, 'secret')).to.equal(false);
+      expect(signature.verify('/foo?expires=10', signed, 'other')).to.equal(false);
+    });
+
+    it('should reject malformed signature', function () {
+      expect(signature.verify('/foo?expires=10', signed.slice(0, 10), 'secret')).to.equal(false);
+      expect(signature.verify('/foo?expires=10', 'not hex', 'secret')).to.equal(false);
+      expect(signature.verify('/foo?expires=10', ['a', 'b'], 'secret')).to.equal(false);
+    });
+  });
+
+  describe('.appendQuery()', function () {
+    it('should append with the right separator', function () {
+      expect(signature.appendQuery('/foo', 'expires', 10)).to.equal('/foo?expires=10');
+      expect(signature.appendQuery('/foo?', 'expires', 10)).to.equal('/foo?expires=10');
+      expect(signature.appendQuery('/foo?a=1', 'expires', 10)).to.equal('/foo?a=1&expires=10');
+    });
+  });
+
+  describe('.splitSignature()', function () {
+    it('should split the signature off', function () {
+      expect(signature.splitSignature('a=1&expires=10&signature=abc')).to.deep.equal({
+        search: 'a=1&expires=10',
+        signature: 'abc'
+      });
+    });
+
+    it('should return undefined signature when there is none', function () {
+      expect(signature.splitSignature('a=1')).to.deep.equal({search: 'a=1', signature: undefined});
+      expect(signature.splitSignature('')).to.deep.equal({search: '', signature: undefined});
+    });
+  });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+var expect = require('chai').expect;
+var ejs = require('ejs');
+var handlebars = require('handlebars');
+var nunjucks = require('nunjucks');
+var pug = require('pug');
+
+describe('router/templates.js', function () {
+  var registry;
+  var article = {title: 'cool-guy', category: 'news'};
+
+  before('initialize router & build route table', function () {
+    registry = require('../index').createRegistry();
+
+    var router = registry({});
+    router.addMapping('article.list', '/articles');
+    router.addMapping('article.detail', '/articles/:category/:title');
+    router.addMapping('card.detail', '/kartu-kredit/:slug', {locales: {en: '/credit-cards/:slug'}});
+    router.buildRouteTable();
+    registry.setBaseUrl('https://www.cermati.com');
+  });
+
+  describe('handlebars', function () {
+    var hbs;
+
+    before('register helpers', function () {
+      hbs = handlebars.create();
+      hbs.registerHelper(registry.templateHelpers('handlebars'));
+    });
+
+    function render(source, context) {
+      return hbs.compile(source)(context);
+    }
+
+    it('should use hash arguments as params', function () {
+      expect(render('{{urlFor "article.detail" category=article.category title=article.title}}', {article: article}))
+        .to.equal('/articles/news/cool-guy');
+    });
+
+    it('should use positional params, overridden by hash arguments', function () {
+      expect(render('{{urlFor "article.detail" article}}', {article: article})).to.equal('/articles/news/cool-guy');
+      expect(render('{{urlFor "article.detail" article title="other"}}', {article: article}))
+        .to.equal('/articles/news/other');
+    });
+
+    it('should use query sub-hash as queries', function () {
+      expect(render('{{{urlFor "article.list" query=(urlQuery page=2)}}}', {})).to.equal('/articles?page=2');
+      expect(render('{{{urlFor "article.list" null filters query=(urlQuery page=2)}}}', {filters: {tag: 'promo'}}))
+        .to.equal('/articles?tag=promo&page=2');
+    });
+
+    it('should be escaped by handlebars', function () {
+      expect(render('<a href="{{urlFor "article.list" null filters}}">', {filters: {page: 2, sort: 'new'}}))
+        .to.equal('<a href="/articles?page&#x3D;2&amp;sort&#x3D;new">');
+    });
+
+    it('should pass urlFor options', function () {
+      expect(render('{{urlFor "card.detail" null null options slug="my-card"}}', {options: {locale: 'en'}}))
+        .to.equal('/credit-cards/my-card');
+    });
+
+    it('should support absoluteUrlFor', function () {
+      expect(render('{{absoluteUrlFor "article.detail" article}}', {article: article}))
+        .to.equal('https://www.cermati.com/articles/news/cool-guy');
+    });
+
+    it('should throw the errors of urlFor', function () {
+      expect(function () {
+        render('{{urlFor "article.detial"}}', {});
+      }).to.throw('Attempted to use undefined routeName: article.detial, did you mean article.detail?');
+    });
+  });
+
+  describe('ejs', function () {
+    it('should expose urlFor and absoluteUrlFor as locals', function () {
+      var source = '<a href="<%= urlFor(\'article.detail\', article, {page: 2}) %>">' +
+        '<%= absoluteUrlFor(\'article.list\') %></a>';
+      var locals = registry.templateHelpers('ejs');
+      locals.article = article;
+
+      expect(ejs.render(source, locals)).to.equal(
+        '<a href="/articles/news/cool-guy?page=2">https://www.cermati.com/articles</a>'
+      );
+    });
+  });
+
+  describe('pug', function () {
+    it('should expose urlFor and absoluteUrlFor as locals', function () {
+      var source = 'a(href=urlFor(\'card.detail\', {slug: \'my-card\'}, null, {locale: \'en\'}))= absoluteUrlFor(\'article.list\')';
+      var locals = registry.templateHelpers('pug');
+
+      expect(pug.render(source, locals)).to.equal(
+        '<a href="/credit-cards/my-card">https://www.cermati.com/articles</a>'
+      );
+    });
+  });
+
+  describe('nunjucks', function () {
+    var env;
+
+    before('add globals', function () {
+      env = new nunjucks.Environment();
+      var helpers = registry.templateHelpers('nunjucks');
+      Object.keys(helpers).forEach(function (name) {
+        env.addGlobal(name, helpers[name]);
+      });
+    });
+
+    it('should use keyword arguments as params', function () {
+      expect(env.renderString('{{ urlFor("article.detail", category=article.category, title=article.title) }}', {
+        article: article
+      })).to.equal('/articles/news/cool-guy');
+    });
+
+    it('should use positional arguments the same way as urlFor', function () {
+      expect(env.renderString('{{ urlFor("article.detail", article, {"page": 2}) }}', {article: article}))
+        .to.equal('/articles/news/cool-guy?page=2');
+    });
+
+    it('should use query keyword argument as queries', function () {
+      expect(env.renderString('<a href="{{ urlFor("article.list", query={"page": 2, "sort": "new"}) }}">', {}))
+        .to.equal('<a href="/articles?page=2&amp;sort=new">');
+    });
+
+    it('should support absoluteUrlFor', function () {
+      expect(env.renderString('{{ absoluteUrlFor("article.detail", article) }}', {article: article}))
+        .to.equal('https://www.cermati.com/articles/news/cool-guy');
+    });
+  });
+
+  context('when given unknown engine', function () {
+    it('should throw error', function () {
+      expect(function () {
+        registry.templateHelpers('mustache');
+      }).to.throw('Unknown template engine: mustache');
+    });
+  });
+});